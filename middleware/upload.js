@@ -0,0 +1,46 @@
+import multer from "multer";
+import { ALLOWED_MIME_TYPES, UPLOAD_CONFIG } from "../utils/uploads.js";
+
+const multerUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_CONFIG.maxFileSize,
+    files: UPLOAD_CONFIG.maxFiles,
+  },
+  fileFilter: (req, file, callback) => {
+    if (ALLOWED_MIME_TYPES[file.mimetype]) {
+      return callback(null, true);
+    }
+
+    // Skip the file but remember it so the route can report it
+    req.rejectedFiles = [...(req.rejectedFiles || []), file.originalname];
+    callback(null, false);
+  },
+});
+
+/**
+ * Multipart upload middleware that reports errors in the API's JSON format
+ * @param {string} field - Form field holding the files
+ * @returns {Function} Express middleware function
+ */
+const uploadFiles = (field) => (req, res, next) => {
+  multerUpload.array(field, UPLOAD_CONFIG.maxFiles)(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        message: `File too large. Maximum size is ${
+          UPLOAD_CONFIG.maxFileSize / (1024 * 1024)
+        }MB.`,
+      });
+    }
+
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    next(err);
+  });
+};
+
+export default uploadFiles;
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+// One sign-off step; any listed approver or anyone with a listed role may sign
+const approvalStageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Stage name is required"],
+      trim: true,
+    },
+    roles: [
+      {
+        type: String,
+        enum: ["staff", "admin"],
+      },
+    ],
+    approvers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const approvalChainSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Every condition that is set must match the request
+    inventoryItems: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InventoryItem",
+      },
+    ],
+    itemTypes: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Applies when numberOfPeople is at least this many
+    minPeople: {
+      type: Number,
+      min: 1,
+    },
+    stages: [approvalStageSchema],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+approvalChainSchema.index({ isActive: 1 });
+
+const ApprovalChain = mongoose.model("ApprovalChain", approvalChainSchema);
+
+export default ApprovalChain;
@@ -43,6 +43,109 @@ const commentSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Staff users notified through @mentions
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    editedAt: Date,
+    // Previous versions of the message, oldest first
+    editHistory: [
+      {
+        message: String,
+        editedAt: Date,
+        _id: false,
+      },
+    ],
+    // Deleted comments keep their slot in the thread with a placeholder
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: Date,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { _id: true }
+);
+
+// Evidence file kept in the configured storage driver
+const attachmentSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+// GeoJSON point for map queries ([longitude, latitude])
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Staff-only notes, never shown to the complainant
+const internalNoteSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    userName: {
+      type: String,
+      required: true,
+    },
+    userRole: {
+      type: String,
+      enum: ["staff", "admin"],
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
   },
   { _id: true }
 );
@@ -54,6 +157,12 @@ const complaintSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Human-friendly reference, e.g. CMP-2026-000123
+    referenceNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
     title: {
       type: String,
       required: [true, "Title is required"],
@@ -67,29 +176,117 @@ const complaintSchema = new mongoose.Schema(
       type: String,
       required: [true, "Category is required"],
     },
+    // Reporter identity is hidden from staff; admins reveal it via an audited endpoint
+    isConfidential: {
+      type: Boolean,
+      default: false,
+    },
+    location: {
+      type: pointSchema,
+      default: undefined,
+    },
+    purok: {
+      type: String,
+      trim: true,
+    },
     status: {
       type: String,
       enum: ["pending", "in-progress", "resolved", "closed"],
       default: "pending",
     },
+    // Effective priority, set by triage and later SLA escalation
     priority: {
       type: String,
       enum: ["low", "medium", "high", "urgent"],
       default: "medium",
     },
+    // Priority the resident picked when filing, kept for reference
+    requestedPriority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+    },
+    triage: {
+      matchedRules: [
+        {
+          rule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "TriageRule",
+          },
+          name: String,
+          _id: false,
+        },
+      ],
+      needsAttention: {
+        type: Boolean,
+        default: false,
+      },
+    },
     assignedTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    resolvedAt: Date,
+    // Service level targets, computed on creation
+    sla: {
+      responseDueAt: Date,
+      resolutionDueAt: Date,
+      respondedAt: Date,
+      responseBreachedAt: Date,
+      resolutionBreachedAt: Date,
+      breached: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    reopenCount: {
+      type: Number,
+      default: 0,
+    },
     feedback: String,
     rating: {
       type: Number,
       min: 1,
       max: 5,
     },
+    ratedAt: Date,
+    ratingEditCount: {
+      type: Number,
+      default: 0,
+    },
     history: [complaintHistorySchema],
     comments: [commentSchema],
-    attachments: [String],
+    // Users following the complaint besides the reporter
+    watchers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Parent complaint this one was merged into as a duplicate
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Complaint",
+      default: null,
+    },
+    mergedAt: Date,
+    // Possible duplicates suggested on creation (staff only)
+    duplicateCandidates: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Complaint",
+        },
+      ],
+      select: false,
+    },
+    // Excluded from queries unless explicitly selected with "+internalNotes"
+    internalNotes: {
+      type: [internalNoteSchema],
+      select: false,
+    },
+    attachments: [attachmentSchema],
+    // Raw strings from before attachment storage existed (see migrateAttachments)
+    legacyAttachments: [String],
   },
   {
     timestamps: true,
@@ -102,16 +299,38 @@ complaintSchema.index({ status: 1 });
 complaintSchema.index({ createdAt: -1 });
 complaintSchema.index({ category: 1, status: 1 });
 complaintSchema.index({ assignedTo: 1 });
+complaintSchema.index({ mergedInto: 1 });
+complaintSchema.index({ watchers: 1 });
+complaintSchema.index({ "triage.needsAttention": 1, status: 1 });
+complaintSchema.index({ location: "2dsphere" });
+complaintSchema.index({ purok: 1 });
+complaintSchema.index({ status: 1, "sla.responseDueAt": 1 });
+complaintSchema.index({ status: 1, "sla.resolutionDueAt": 1 });
 
-// Add initial history entry on creation
+// Add initial history entry on creation, ahead of any routing entries
 complaintSchema.pre("save", function (next) {
   if (this.isNew) {
-    this.history.push({
+    this.history.unshift({
       action: "Complaint Filed",
       by: "System",
       timestamp: new Date(),
     });
   }
+
+  // Track when the complaint was last resolved for the reopen window
+  if (this.isModified("status") && this.status === "resolved") {
+    this.resolvedAt = new Date();
+  }
+
+  // The response target is met as soon as the complaint leaves pending
+  if (
+    this.isModified("status") &&
+    this.status !== "pending" &&
+    this.sla &&
+    !this.sla.respondedAt
+  ) {
+    this.sla.respondedAt = new Date();
+  }
   next();
 });
 
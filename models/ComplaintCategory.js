@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+const slaTargetSchema = new mongoose.Schema(
+  {
+    responseHours: {
+      type: Number,
+      min: [1, "Response target must be at least 1 hour"],
+    },
+    resolutionHours: {
+      type: Number,
+      min: [1, "Resolution target must be at least 1 hour"],
+    },
+  },
+  { _id: false }
+);
+
+const complaintCategorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    defaultPriority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    // Per-priority overrides of the default SLA targets
+    slaTargets: {
+      low: slaTargetSchema,
+      medium: slaTargetSchema,
+      high: slaTargetSchema,
+      urgent: slaTargetSchema,
+    },
+    // Routing rule: a fixed assignee wins over the staff group
+    defaultAssignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    staffGroup: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+complaintCategorySchema.index({ isActive: 1, name: 1 });
+
+const ComplaintCategory = mongoose.model(
+  "ComplaintCategory",
+  complaintCategorySchema
+);
+
+export default ComplaintCategory;
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Named sequences used for human-friendly reference numbers
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+// Liability opened when a borrowed item comes back late, damaged or incomplete
+const damageRecordSchema = new mongoose.Schema(
+  {
+    serviceRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceRequest",
+      required: true,
+    },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryItem",
+    },
+    // Borrower held liable
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    itemName: {
+      type: String,
+      required: true,
+    },
+    // Condition reported at check-in
+    condition: {
+      type: String,
+      enum: ["good", "damaged", "missing_parts"],
+      required: true,
+    },
+    // Units returned damaged or with missing parts
+    quantityDamaged: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Units that were not returned at all
+    quantityMissing: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    lateDays: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    lateFee: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Repair or replacement cost set by staff
+    damageCharge: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Payments and forfeited deposit applied to the record
+    amountPaid: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved", "waived"],
+      default: "open",
+    },
+    resolutionNote: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolvedAt: Date,
+    // Whether damaged units were put back into stock on resolution
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+damageRecordSchema.index({ userId: 1, status: 1 });
+damageRecordSchema.index({ status: 1, createdAt: -1 });
+damageRecordSchema.index({ serviceRequest: 1 });
+
+const DamageRecord = mongoose.model("DamageRecord", damageRecordSchema);
+
+export default DamageRecord;
@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+
+// Photo kept in the configured storage driver
+const photoSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+const inventoryItemSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+    },
+    // Matches ServiceRequest.requestType
+    kind: {
+      type: String,
+      enum: ["Equipment", "Facility"],
+      required: [true, "Kind is required"],
+    },
+    itemType: {
+      type: String,
+      required: [true, "Type is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Units the barangay owns; facilities always have one
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [0, "Quantity cannot be negative"],
+      default: 1,
+    },
+    condition: {
+      type: String,
+      enum: ["good", "fair", "poor", "damaged"],
+      default: "good",
+    },
+    location: {
+      type: String,
+      trim: true,
+    },
+    // Refundable deposit per unit borrowed
+    depositAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Maximum number of people (facilities only)
+    capacity: {
+      type: Number,
+      min: 1,
+    },
+    photos: [photoSchema],
+    // Days between routine inspections; none are scheduled when unset
+    maintenanceIntervalDays: {
+      type: Number,
+      min: 1,
+    },
+    // Out-of-service items stay listed but cannot be requested
+    outOfService: {
+      type: Boolean,
+      default: false,
+    },
+    outOfServiceReason: {
+      type: String,
+      trim: true,
+    },
+    outOfServiceSince: Date,
+    // Inactive entries stay linked to past requests but cannot be requested
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+inventoryItemSchema.index({ kind: 1, isActive: 1, name: 1 });
+
+const InventoryItem = mongoose.model("InventoryItem", inventoryItemSchema);
+
+export default InventoryItem;
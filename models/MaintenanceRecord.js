@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// Scheduled inspection or repair log entry for an inventory item
+const maintenanceRecordSchema = new mongoose.Schema(
+  {
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryItem",
+      required: true,
+    },
+    itemName: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["inspection", "repair"],
+      required: [true, "Maintenance type is required"],
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "completed", "cancelled"],
+      default: "scheduled",
+    },
+    scheduledFor: Date,
+    completedAt: Date,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    cost: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Item condition recorded when the work was done
+    conditionAfter: {
+      type: String,
+      enum: ["good", "fair", "poor", "damaged"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Set once staff have been told the work is coming up / overdue
+    dueNotifiedAt: Date,
+    overdueNotifiedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+maintenanceRecordSchema.index({ inventoryItem: 1, createdAt: -1 });
+maintenanceRecordSchema.index({ status: 1, scheduledFor: 1 });
+
+const MaintenanceRecord = mongoose.model(
+  "MaintenanceRecord",
+  maintenanceRecordSchema
+);
+
+export default MaintenanceRecord;
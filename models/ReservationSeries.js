@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// A recurring facility reservation; each occurrence is its own service request
+const reservationSeriesSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryItem",
+      required: true,
+    },
+    itemName: {
+      type: String,
+      required: true,
+    },
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ["weekly", "monthly"],
+        required: true,
+      },
+      interval: {
+        type: Number,
+        min: 1,
+        default: 1,
+      },
+      // The series ends on this date or after this many occurrences
+      until: Date,
+      count: Number,
+    },
+    // Times of the first occurrence
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: true,
+    },
+    purpose: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled"],
+      default: "pending",
+    },
+    approvalNote: String,
+    rejectionReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reservationSeriesSchema.index({ userId: 1, createdAt: -1 });
+reservationSeriesSchema.index({ inventoryItem: 1, status: 1 });
+
+const ReservationSeries = mongoose.model(
+  "ReservationSeries",
+  reservationSeriesSchema
+);
+
+export default ReservationSeries;
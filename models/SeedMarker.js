@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Records that a set of default documents was created, so deleting them
+// later does not bring them back
+const seedMarkerSchema = new mongoose.Schema({
+  // Name of the default set, e.g. "complaintCategories"
+  _id: {
+    type: String,
+    required: true,
+  },
+  seededAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const SeedMarker = mongoose.model("SeedMarker", seedMarkerSchema);
+
+export default SeedMarker;
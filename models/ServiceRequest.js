@@ -1,5 +1,106 @@
 import mongoose from "mongoose";
 
+// Sign-off recorded for one stage of an approval chain
+const approvalStageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    roles: [String],
+    approvers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    decidedAt: Date,
+    note: String,
+  },
+  { _id: false }
+);
+
+// Stages copied from the matching approval chain
+const approvalSchema = new mongoose.Schema(
+  {
+    chain: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApprovalChain",
+    },
+    chainName: String,
+    stages: [approvalStageSchema],
+    // Index of the stage awaiting sign-off; equals stages.length when done
+    currentStage: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Photo taken at return check-in, kept in the configured storage driver
+const returnPhotoSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+// Condition report recorded by staff when the item comes back
+const returnReportSchema = new mongoose.Schema(
+  {
+    returnedAt: {
+      type: Date,
+      required: true,
+    },
+    quantityReturned: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    condition: {
+      type: String,
+      enum: ["good", "damaged", "missing_parts"],
+      required: true,
+    },
+    notes: String,
+    photos: [returnPhotoSchema],
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { _id: false }
+);
+
 const serviceRequestSchema = new mongoose.Schema(
   {
     userId: {
@@ -13,6 +114,16 @@ const serviceRequestSchema = new mongoose.Schema(
       required: [true, "Request type is required"],
       default: "Equipment",
     },
+    // Catalog entry being requested; itemName/itemType are copied from it
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryItem",
+    },
+    quantity: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
     itemName: {
       type: String,
       required: [true, "Item/Facility name is required"],
@@ -31,6 +142,13 @@ const serviceRequestSchema = new mongoose.Schema(
       required: [true, "End date is required"],
     },
     // Facility-specific fields
+    // Exact booking window; borrowDate/expectedReturnDate mirror it
+    startTime: {
+      type: Date,
+    },
+    endTime: {
+      type: Date,
+    },
     timeSlot: {
       type: String,
       trim: true,
@@ -39,9 +157,21 @@ const serviceRequestSchema = new mongoose.Schema(
       type: Number,
       min: 1,
     },
+    // Recurring reservation this occurrence belongs to
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReservationSeries",
+    },
     status: {
       type: String,
-      enum: ["pending", "approved", "borrowed", "returned", "rejected"],
+      enum: [
+        "pending",
+        "approved",
+        "borrowed",
+        "returned",
+        "rejected",
+        "cancelled",
+      ],
       default: "pending",
     },
     purpose: {
@@ -50,7 +180,40 @@ const serviceRequestSchema = new mongoose.Schema(
     },
     notes: String,
     rejectionReason: String,
+    cancellationReason: String,
+    cancelledAt: Date,
     approvalNote: String,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: Date,
+    approval: approvalSchema,
+    // Token ID printed as a QR code on the claim slip
+    claimSlip: {
+      tokenId: String,
+      issuedAt: Date,
+    },
+    returnReport: returnReportSchema,
+    // Refundable deposit, collected when the item is handed over
+    deposit: {
+      amount: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      status: {
+        type: String,
+        enum: ["none", "pending", "held", "refunded", "forfeited"],
+        default: "none",
+      },
+      amountForfeited: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      updatedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -62,6 +225,8 @@ serviceRequestSchema.index({ userId: 1 });
 serviceRequestSchema.index({ status: 1 });
 serviceRequestSchema.index({ createdAt: -1 });
 serviceRequestSchema.index({ requestType: 1, status: 1 });
+serviceRequestSchema.index({ inventoryItem: 1, status: 1 });
+serviceRequestSchema.index({ series: 1, borrowDate: 1 });
 
 const ServiceRequest = mongoose.model("ServiceRequest", serviceRequestSchema);
 
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+const triageRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      unique: true,
+      trim: true,
+    },
+    // Matches if any keyword appears as a word in the title or description
+    keywords: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    // Complaint category names; empty means any category
+    categories: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Hours of the day (0-23, local time); the window may wrap past midnight
+    timeWindow: {
+      startHour: {
+        type: Number,
+        min: 0,
+        max: 23,
+      },
+      endHour: {
+        type: Number,
+        min: 0,
+        max: 23,
+      },
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      required: [true, "Priority is required"],
+    },
+    flagForAttention: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+triageRuleSchema.index({ isActive: 1 });
+
+const TriageRule = mongoose.model("TriageRule", triageRuleSchema);
+
+export default TriageRule;
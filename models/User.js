@@ -63,6 +63,11 @@ const userSchema = new mongoose.Schema(
     idDocumentUrl: {
       type: String,
     },
+    // Late, damaged or incomplete returns; too many block borrowing
+    borrowingStrikes: {
+      type: Number,
+      default: 0,
+    },
     // Login attempt tracking fields
     loginAttempts: {
       type: Number,
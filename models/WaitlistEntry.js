@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// A resident queued for an item or time slot that was fully booked
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryItem",
+      required: true,
+    },
+    // Request details copied into the service request when claimed
+    requestType: {
+      type: String,
+      enum: ["Equipment", "Facility"],
+      required: true,
+    },
+    itemName: {
+      type: String,
+      required: true,
+    },
+    itemType: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    borrowDate: {
+      type: Date,
+      required: true,
+    },
+    expectedReturnDate: {
+      type: Date,
+      required: true,
+    },
+    startTime: Date,
+    endTime: Date,
+    timeSlot: String,
+    numberOfPeople: Number,
+    purpose: {
+      type: String,
+      required: true,
+    },
+    notes: String,
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "claimed", "expired", "cancelled"],
+      default: "waiting",
+    },
+    offeredAt: Date,
+    // Offer moves on to the next person after this
+    claimExpiresAt: Date,
+    serviceRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceRequest",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+waitlistEntrySchema.index({ inventoryItem: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ userId: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, claimExpiresAt: 1 });
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+export default WaitlistEntry;
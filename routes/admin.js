@@ -3,8 +3,14 @@ import { body, validationResult } from "express-validator";
 import User from "../models/User.js";
 import AuditLog from "../models/AuditLog.js";
 import SiteSettings from "../models/SiteSettings.js";
+import DamageRecord from "../models/DamageRecord.js";
+import ServiceRequest from "../models/ServiceRequest.js";
 import { protect, authorize } from "../middleware/auth.js";
 import createAuditLog from "../utils/createAuditLog.js";
+import {
+  PENALTY_CONFIG,
+  outstandingBalance,
+} from "../utils/borrowingPenalties.js";
 
 const router = express.Router();
 
@@ -142,6 +148,158 @@ router.delete("/users/:id", protect, authorize("admin"), async (req, res) => {
   }
 });
 
+// ========== BORROWING ==========
+
+// @route   GET /api/admin/borrowing
+// @desc    Residents with strikes, open damage records, overdue items or held deposits
+// @access  Private (Admin)
+router.get("/borrowing", protect, authorize("admin"), async (req, res) => {
+  try {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const [openRecords, overdue, heldDeposits, struckUsers] = await Promise.all(
+      [
+        DamageRecord.find({ status: "open" }),
+        ServiceRequest.aggregate([
+          {
+            $match: { status: "borrowed", expectedReturnDate: { $lt: today } },
+          },
+          { $group: { _id: "$userId", count: { $sum: 1 } } },
+        ]),
+        ServiceRequest.aggregate([
+          { $match: { "deposit.status": "held" } },
+          { $group: { _id: "$userId", total: { $sum: "$deposit.amount" } } },
+        ]),
+        User.find({ borrowingStrikes: { $gt: 0 } }).select("_id"),
+      ]
+    );
+
+    const accounts = new Map();
+    const accountFor = (userId) => {
+      const key = userId.toString();
+      if (!accounts.has(key)) {
+        accounts.set(key, {
+          userId,
+          openRecords: 0,
+          overdueItems: 0,
+          outstandingBalance: 0,
+          depositsHeld: 0,
+        });
+      }
+      return accounts.get(key);
+    };
+
+    for (const record of openRecords) {
+      const account = accountFor(record.userId);
+      account.openRecords++;
+      account.outstandingBalance += outstandingBalance(record);
+    }
+    for (const item of overdue) {
+      accountFor(item._id).overdueItems = item.count;
+    }
+    for (const deposit of heldDeposits) {
+      accountFor(deposit._id).depositsHeld = deposit.total;
+    }
+    for (const user of struckUsers) {
+      accountFor(user._id);
+    }
+
+    const users = await User.find({
+      _id: { $in: [...accounts.values()].map((account) => account.userId) },
+    }).select("firstName lastName email phoneNumber borrowingStrikes");
+
+    const result = users
+      .map((user) => {
+        const account = accounts.get(user._id.toString());
+        return {
+          user: {
+            _id: user._id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            email: user.email,
+            phoneNumber: user.phoneNumber,
+          },
+          strikes: user.borrowingStrikes,
+          openRecords: account.openRecords,
+          overdueItems: account.overdueItems,
+          outstandingBalance: account.outstandingBalance,
+          depositsHeld: account.depositsHeld,
+          suspended:
+            account.openRecords > 0 ||
+            account.overdueItems > 0 ||
+            user.borrowingStrikes >= PENALTY_CONFIG.strikeLimit,
+        };
+      })
+      .sort(
+        (a, b) =>
+          b.outstandingBalance - a.outstandingBalance || b.strikes - a.strikes
+      );
+
+    res.json({ strikeLimit: PENALTY_CONFIG.strikeLimit, accounts: result });
+  } catch (error) {
+    console.error("Get borrowing overview error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/strikes
+// @desc    Set or clear a resident's borrowing strikes
+// @access  Private (Admin)
+router.put(
+  "/users/:id/strikes",
+  protect,
+  authorize("admin"),
+  [
+    body("strikes")
+      .isInt({ min: 0 })
+      .withMessage("Strikes must be a whole number of at least 0"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const user = await User.findById(req.params.id).select(
+        "borrowingStrikes"
+      );
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const strikes = parseInt(req.body.strikes);
+
+      // Update directly so the password hook does not run
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { borrowingStrikes: strikes } }
+      );
+
+      await createAuditLog(
+        req.user._id,
+        "UPDATE_BORROWING_STRIKES",
+        `User #${user._id}`,
+        { from: user.borrowingStrikes, to: strikes },
+        "success",
+        req.ip
+      );
+
+      res.json({ _id: user._id, borrowingStrikes: strikes });
+    } catch (error) {
+      console.error("Update strikes error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
 // ========== AUDIT LOGS ==========
 
 // @route   GET /api/admin/audit-logs
@@ -0,0 +1,263 @@
+import express from "express";
+import { body, validationResult } from "express-validator";
+import ApprovalChain from "../models/ApprovalChain.js";
+import { protect, authorize } from "../middleware/auth.js";
+import createAuditLog from "../utils/createAuditLog.js";
+
+const router = express.Router();
+
+/**
+ * Validation rules shared by the create and update routes
+ * @param {boolean} isUpdate - Whether every field is optional
+ * @returns {Array} express-validator chains
+ */
+const chainValidation = (isUpdate) => [
+  (isUpdate ? body("name").optional() : body("name"))
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name must not exceed 100 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description must not exceed 500 characters"),
+  body("inventoryItems")
+    .optional()
+    .isArray()
+    .withMessage("Inventory items must be an array of IDs"),
+  body("inventoryItems.*")
+    .isMongoId()
+    .withMessage("Invalid inventory item ID format"),
+  body("itemTypes")
+    .optional()
+    .isArray()
+    .withMessage("Item types must be an array"),
+  body("minPeople")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("Minimum people must be at least 1"),
+  (isUpdate ? body("stages").optional() : body("stages"))
+    .isArray({ min: 1, max: 5 })
+    .withMessage("A chain needs between 1 and 5 stages"),
+  body("stages.*.name").trim().notEmpty().withMessage("Stage name is required"),
+  body("stages.*.roles")
+    .optional()
+    .isArray()
+    .withMessage("Stage roles must be an array"),
+  body("stages.*.roles.*")
+    .isIn(["staff", "admin"])
+    .withMessage("Stage roles must be staff or admin"),
+  body("stages.*.approvers")
+    .optional()
+    .isArray()
+    .withMessage("Stage approvers must be an array of user IDs"),
+  body("stages.*.approvers.*")
+    .isMongoId()
+    .withMessage("Invalid approver ID format"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+];
+
+/**
+ * Copy the editable fields from the request body
+ * @param {Object} data - Request body
+ * @returns {Object} Chain fields
+ */
+const pickChainFields = (data) => {
+  const fields = {};
+  for (const key of [
+    "name",
+    "description",
+    "inventoryItems",
+    "itemTypes",
+    "minPeople",
+    "stages",
+    "isActive",
+  ]) {
+    if (data[key] !== undefined) fields[key] = data[key];
+  }
+  return fields;
+};
+
+/**
+ * A chain needs at least one condition, and every stage needs someone
+ * who can sign it
+ * @param {Object} chain - ApprovalChain document
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkChain = (chain) => {
+  if (
+    !chain.inventoryItems?.length &&
+    !chain.itemTypes?.length &&
+    !chain.minPeople
+  ) {
+    return "Chain needs at least one inventory item, item type or minimum number of people";
+  }
+  const unsignable = chain.stages.find(
+    (stage) => !stage.roles?.length && !stage.approvers?.length
+  );
+  if (unsignable) {
+    return `Stage "${unsignable.name}" needs at least one role or approver`;
+  }
+  return null;
+};
+
+// @route   GET /api/approval-chains
+// @desc    Get all approval chains
+// @access  Private (Staff/Admin)
+router.get("/", protect, authorize("staff", "admin"), async (req, res) => {
+  try {
+    const chains = await ApprovalChain.find()
+      .populate("inventoryItems", "name kind")
+      .populate("stages.approvers", "firstName lastName email")
+      .sort({ isActive: -1, name: 1 });
+    res.json(chains);
+  } catch (error) {
+    console.error("Get approval chains error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   POST /api/approval-chains
+// @desc    Create an approval chain
+// @access  Private (Admin)
+router.post(
+  "/",
+  protect,
+  authorize("admin"),
+  chainValidation(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      if (await ApprovalChain.exists({ name: req.body.name })) {
+        return res
+          .status(409)
+          .json({ message: "An approval chain with this name already exists" });
+      }
+
+      const chain = new ApprovalChain(pickChainFields(req.body));
+
+      const chainError = checkChain(chain);
+      if (chainError) {
+        return res.status(400).json({ message: chainError });
+      }
+
+      await chain.save();
+      await createAuditLog(
+        req.user._id,
+        "CREATE_APPROVAL_CHAIN",
+        `Approval Chain ${chain.name}`,
+        {},
+        "success",
+        req.ip
+      );
+
+      res.status(201).json(chain);
+    } catch (error) {
+      console.error("Create approval chain error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   PUT /api/approval-chains/:id
+// @desc    Update an approval chain (requests already in review keep their stages)
+// @access  Private (Admin)
+router.put(
+  "/:id",
+  protect,
+  authorize("admin"),
+  chainValidation(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const chain = await ApprovalChain.findById(req.params.id);
+      if (!chain) {
+        return res.status(404).json({ message: "Approval chain not found" });
+      }
+
+      if (
+        req.body.name &&
+        req.body.name !== chain.name &&
+        (await ApprovalChain.exists({ name: req.body.name }))
+      ) {
+        return res
+          .status(409)
+          .json({ message: "An approval chain with this name already exists" });
+      }
+
+      chain.set(pickChainFields(req.body));
+
+      const chainError = checkChain(chain);
+      if (chainError) {
+        return res.status(400).json({ message: chainError });
+      }
+
+      await chain.save();
+      await createAuditLog(
+        req.user._id,
+        "UPDATE_APPROVAL_CHAIN",
+        `Approval Chain ${chain.name}`,
+        {},
+        "success",
+        req.ip
+      );
+
+      res.json(chain);
+    } catch (error) {
+      console.error("Update approval chain error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   DELETE /api/approval-chains/:id
+// @desc    Delete an approval chain
+// @access  Private (Admin)
+router.delete("/:id", protect, authorize("admin"), async (req, res) => {
+  try {
+    const chain = await ApprovalChain.findById(req.params.id);
+    if (!chain) {
+      return res.status(404).json({ message: "Approval chain not found" });
+    }
+
+    await chain.deleteOne();
+    await createAuditLog(
+      req.user._id,
+      "DELETE_APPROVAL_CHAIN",
+      `Approval Chain ${chain.name}`,
+      {},
+      "success",
+      req.ip
+    );
+
+    res.json({ message: "Approval chain removed" });
+  } catch (error) {
+    console.error("Delete approval chain error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+export default router;
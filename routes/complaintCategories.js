@@ -0,0 +1,294 @@
+import express from "express";
+import { body, validationResult } from "express-validator";
+import Complaint from "../models/Complaint.js";
+import ComplaintCategory from "../models/ComplaintCategory.js";
+import User from "../models/User.js";
+import { protect, authorize } from "../middleware/auth.js";
+import createAuditLog from "../utils/createAuditLog.js";
+
+const router = express.Router();
+
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+/**
+ * Validation rules shared by the create and update routes
+ * @param {boolean} isUpdate - Whether every field is optional
+ * @returns {Array} express-validator chains
+ */
+const categoryValidation = (isUpdate) => [
+  (isUpdate ? body("name").optional() : body("name"))
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 50 })
+    .withMessage("Name must not exceed 50 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage("Description must not exceed 300 characters"),
+  body("defaultPriority")
+    .optional()
+    .isIn(PRIORITIES)
+    .withMessage("Invalid priority level"),
+  body("slaTargets")
+    .optional()
+    .isObject()
+    .withMessage("SLA targets must be an object keyed by priority")
+    .custom((targets) => {
+      for (const [priority, target] of Object.entries(targets)) {
+        if (!PRIORITIES.includes(priority)) {
+          throw new Error(`Unknown priority "${priority}" in SLA targets`);
+        }
+        for (const key of ["responseHours", "resolutionHours"]) {
+          if (target?.[key] !== undefined && !(Number(target[key]) >= 1)) {
+            throw new Error(`${priority}.${key} must be at least 1 hour`);
+          }
+        }
+      }
+      return true;
+    }),
+  body("defaultAssignee")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid default assignee ID format"),
+  body("staffGroup")
+    .optional()
+    .isArray()
+    .withMessage("Staff group must be an array of user IDs"),
+  body("staffGroup.*").isMongoId().withMessage("Invalid staff group user ID"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+];
+
+/**
+ * Check that every routing target is a staff or admin user
+ * @param {Object} data - Request body
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const checkRoutingTargets = async (data) => {
+  const ids = [
+    ...(data.defaultAssignee ? [data.defaultAssignee] : []),
+    ...(data.staffGroup || []),
+  ];
+  if (ids.length === 0) return null;
+
+  const uniqueIds = [...new Set(ids.map(String))];
+  const staffCount = await User.countDocuments({
+    _id: { $in: uniqueIds },
+    role: { $in: ["staff", "admin"] },
+  });
+
+  return staffCount === uniqueIds.length
+    ? null
+    : "Default assignee and staff group must be staff or admin users";
+};
+
+/**
+ * Copy the editable fields from the request body
+ * @param {Object} data - Request body
+ * @returns {Object} Category fields
+ */
+const pickCategoryFields = (data) => {
+  const fields = {};
+  for (const key of [
+    "name",
+    "description",
+    "defaultPriority",
+    "slaTargets",
+    "defaultAssignee",
+    "staffGroup",
+    "isActive",
+  ]) {
+    if (data[key] !== undefined) fields[key] = data[key];
+  }
+  return fields;
+};
+
+// @route   GET /api/complaint-categories
+// @desc    Get complaint categories (active only unless staff ask for all)
+// @access  Private
+router.get("/", protect, async (req, res) => {
+  try {
+    const isStaff = ["staff", "admin"].includes(req.user.role);
+    const query =
+      isStaff && req.query.includeInactive === "true" ? {} : { isActive: true };
+
+    let categoriesQuery = ComplaintCategory.find(query).sort({ name: 1 });
+
+    if (isStaff) {
+      categoriesQuery = categoriesQuery
+        .populate("defaultAssignee", "firstName lastName role")
+        .populate("staffGroup", "firstName lastName role");
+    } else {
+      categoriesQuery = categoriesQuery.select(
+        "name description defaultPriority"
+      );
+    }
+
+    res.json(await categoriesQuery);
+  } catch (error) {
+    console.error("Get complaint categories error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   POST /api/complaint-categories
+// @desc    Create a complaint category
+// @access  Private (Admin)
+router.post(
+  "/",
+  protect,
+  authorize("admin"),
+  categoryValidation(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const routingError = await checkRoutingTargets(req.body);
+      if (routingError) {
+        return res.status(400).json({ message: routingError });
+      }
+
+      if (await ComplaintCategory.exists({ name: req.body.name })) {
+        return res
+          .status(409)
+          .json({ message: "A category with this name already exists" });
+      }
+
+      const category = await ComplaintCategory.create(
+        pickCategoryFields(req.body)
+      );
+
+      await createAuditLog(
+        req.user._id,
+        "CREATE_COMPLAINT_CATEGORY",
+        `Complaint Category ${category.name}`,
+        {},
+        "success",
+        req.ip
+      );
+
+      res.status(201).json(category);
+    } catch (error) {
+      console.error("Create complaint category error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   PUT /api/complaint-categories/:id
+// @desc    Update a complaint category, its SLA targets or routing rule
+// @access  Private (Admin)
+router.put(
+  "/:id",
+  protect,
+  authorize("admin"),
+  categoryValidation(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const category = await ComplaintCategory.findById(req.params.id);
+      if (!category) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+
+      const routingError = await checkRoutingTargets(req.body);
+      if (routingError) {
+        return res.status(400).json({ message: routingError });
+      }
+
+      const previousName = category.name;
+      const renamed = req.body.name && req.body.name !== previousName;
+
+      if (
+        renamed &&
+        (await ComplaintCategory.exists({ name: req.body.name }))
+      ) {
+        return res
+          .status(409)
+          .json({ message: "A category with this name already exists" });
+      }
+
+      category.set(pickCategoryFields(req.body));
+      await category.save();
+
+      // Complaints store the category name, so keep them in step
+      if (renamed) {
+        await Complaint.updateMany(
+          { category: previousName },
+          { category: category.name }
+        );
+      }
+
+      await createAuditLog(
+        req.user._id,
+        "UPDATE_COMPLAINT_CATEGORY",
+        `Complaint Category ${category.name}`,
+        renamed ? { previousName } : {},
+        "success",
+        req.ip
+      );
+
+      res.json(category);
+    } catch (error) {
+      console.error("Update complaint category error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   DELETE /api/complaint-categories/:id
+// @desc    Delete an unused complaint category
+// @access  Private (Admin)
+router.delete("/:id", protect, authorize("admin"), async (req, res) => {
+  try {
+    const category = await ComplaintCategory.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    if (await Complaint.exists({ category: category.name })) {
+      return res.status(409).json({
+        message:
+          "Category is used by existing complaints. Deactivate it instead.",
+      });
+    }
+
+    await category.deleteOne();
+    await createAuditLog(
+      req.user._id,
+      "DELETE_COMPLAINT_CATEGORY",
+      `Complaint Category ${category.name}`,
+      {},
+      "success",
+      req.ip
+    );
+
+    res.json({ message: "Category removed" });
+  } catch (error) {
+    console.error("Delete complaint category error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+export default router;
@@ -1,99 +1,330 @@
 import express from "express";
-import { body, validationResult } from "express-validator";
+import { once } from "events";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+import { body, query, validationResult } from "express-validator";
 import Complaint from "../models/Complaint.js";
 import Notification from "../models/Notification.js";
+import User from "../models/User.js";
 import { protect, authorize, residentOnly } from "../middleware/auth.js";
 import createAuditLog from "../utils/createAuditLog.js";
 import { notifyAdminsAndStaff } from "../utils/createNotification.js";
+import {
+  COMPLAINT_STATUS_TRANSITIONS,
+  canTransition,
+  transitionError,
+  isWithinReopenWindow,
+  REOPEN_CONFIG,
+} from "../utils/complaintStatus.js";
+import { computeSlaDueDates } from "../utils/complaintSla.js";
+import {
+  getActiveCategory,
+  routeComplaint,
+} from "../utils/complaintCategories.js";
+import { triageComplaint } from "../utils/complaintTriage.js";
+import { findDuplicateCandidates } from "../utils/complaintDuplicates.js";
+import { parseGeoFilter, toPoint } from "../utils/complaintGeo.js";
+import uploadFiles from "../middleware/upload.js";
+import {
+  processUpload,
+  randomFileName,
+  UPLOAD_CONFIG,
+} from "../utils/uploads.js";
+import getStorage, { sendStoredFile } from "../utils/storage/index.js";
+import {
+  nextReferenceNumber,
+  formatReference,
+} from "../utils/referenceNumber.js";
+import {
+  redactComplaint,
+  reporterDisplayName,
+} from "../utils/complaintPrivacy.js";
+import {
+  findMentionedStaff,
+  canEditComment,
+  DELETED_COMMENT_PLACEHOLDER,
+  COMMENT_CONFIG,
+} from "../utils/complaintComments.js";
+import writeCaseFile from "../utils/complaintCaseFile.js";
 
 const router = express.Router();
 
+// Internal notes and duplicate suggestions are only returned to staff
+const STAFF_ONLY_FIELDS = "+internalNotes +duplicateCandidates";
+
 // @route   GET /api/complaints
 // @desc    Get all complaints (filtered by role) with optional pagination
 // @access  Private
-router.get("/", protect, async (req, res) => {
-  try {
-    let query = {};
-
-    // Residents can only see their own complaints
-    if (req.user.role === "resident") {
-      query.userId = req.user._id;
+router.get(
+  "/",
+  protect,
+  [
+    query("assignedTo")
+      .optional()
+      .custom(
+        (value) =>
+          ["all", "me", "unassigned"].includes(value) ||
+          mongoose.Types.ObjectId.isValid(value)
+      )
+      .withMessage("assignedTo must be me, unassigned, all or a user ID"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
     }
 
-    // Status filter
-    if (req.query.status && req.query.status !== "all") {
-      query.status = req.query.status;
-    }
+    try {
+      let query = {};
 
-    // Category filter
-    if (req.query.category && req.query.category !== "all") {
-      query.category = req.query.category;
-    }
+      // Residents can only see their own complaints
+      if (req.user.role === "resident") {
+        query.userId = req.user._id;
+      }
 
-    // Priority filter
-    if (req.query.priority && req.query.priority !== "all") {
-      query.priority = req.query.priority;
-    }
+      // Status filter
+      if (req.query.status && req.query.status !== "all") {
+        query.status = req.query.status;
+      }
 
-    // Search filter (title or description)
-    if (req.query.search) {
-      const searchRegex = new RegExp(req.query.search, "i");
-      query.$or = [{ title: searchRegex }, { description: searchRegex }];
-    }
+      // Category filter
+      if (req.query.category && req.query.category !== "all") {
+        query.category = req.query.category;
+      }
 
-    // Date range filter
-    if (req.query.startDate || req.query.endDate) {
-      query.createdAt = {};
-      if (req.query.startDate) {
-        query.createdAt.$gte = new Date(req.query.startDate);
+      // Priority filter
+      if (req.query.priority && req.query.priority !== "all") {
+        query.priority = req.query.priority;
       }
-      if (req.query.endDate) {
-        query.createdAt.$lte = new Date(req.query.endDate);
+
+      // Assignment filter ("me", "unassigned", or a staff user ID)
+      if (req.query.assignedTo && req.query.assignedTo !== "all") {
+        if (req.query.assignedTo === "me") {
+          query.assignedTo = req.user._id;
+        } else if (req.query.assignedTo === "unassigned") {
+          query.assignedTo = null;
+        } else {
+          query.assignedTo = req.query.assignedTo;
+        }
       }
-    }
 
-    // Check if pagination is requested
-    const page = parseInt(req.query.page) || 0;
-    const limit = parseInt(req.query.limit) || 0;
+      // Complaints flagged by triage for immediate attention
+      if (req.query.needsAttention === "true") {
+        query["triage.needsAttention"] = true;
+      }
+
+      // Complaints the staff member is watching
+      if (req.query.watching === "true" && req.user.role !== "resident") {
+        query.watchers = req.user._id;
+      }
+
+      // Purok/zone filter
+      if (req.query.purok && req.query.purok !== "all") {
+        query.purok = req.query.purok;
+      }
+
+      // Map filters (bounding box or radius)
+      const geo = parseGeoFilter(req.query);
+      if (geo.error) {
+        return res.status(400).json({ message: geo.error });
+      }
+      if (geo.filter) {
+        query.location = geo.filter;
+      }
+
+      // SLA breach filter
+      if (req.query.slaBreached === "true") {
+        query["sla.breached"] = true;
+      }
+
+      // Search filter (reference number, title or description)
+      if (req.query.search) {
+        const searchRegex = new RegExp(req.query.search, "i");
+        query.$or = [
+          { referenceNumber: searchRegex },
+          { title: searchRegex },
+          { description: searchRegex },
+        ];
+      }
+
+      // Date range filter
+      if (req.query.startDate || req.query.endDate) {
+        query.createdAt = {};
+        if (req.query.startDate) {
+          query.createdAt.$gte = new Date(req.query.startDate);
+        }
+        if (req.query.endDate) {
+          query.createdAt.$lte = new Date(req.query.endDate);
+        }
+      }
+
+      const staffProjection =
+        req.user.role === "resident" ? "" : STAFF_ONLY_FIELDS;
+
+      // Check if pagination is requested
+      const page = parseInt(req.query.page) || 0;
+      const limit = parseInt(req.query.limit) || 0;
+
+      if (page > 0 && limit > 0) {
+        // Server-side pagination
+        const skip = (page - 1) * limit;
+        const totalItems = await Complaint.countDocuments(query);
+        const totalPages = Math.ceil(totalItems / limit);
+
+        const complaints = await Complaint.find(query)
+          .select(staffProjection)
+          .populate("userId", "firstName lastName email avatar role")
+          .populate("assignedTo", "firstName lastName")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit);
 
-    if (page > 0 && limit > 0) {
-      // Server-side pagination
-      const skip = (page - 1) * limit;
-      const totalItems = await Complaint.countDocuments(query);
-      const totalPages = Math.ceil(totalItems / limit);
+        return res.json({
+          data: complaints.map((c) => redactComplaint(c, req.user)),
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems,
+            pageSize: limit,
+            hasNext: page < totalPages,
+            hasPrev: page > 1,
+          },
+        });
+      }
 
+      // No pagination - return all results (backward compatible)
       const complaints = await Complaint.find(query)
+        .select(staffProjection)
         .populate("userId", "firstName lastName email avatar role")
         .populate("assignedTo", "firstName lastName")
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit);
-
-      return res.json({
-        data: complaints,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalItems,
-          pageSize: limit,
-          hasNext: page < totalPages,
-          hasPrev: page > 1,
-        },
-      });
+        .sort({ createdAt: -1 });
+
+      res.json(complaints.map((c) => redactComplaint(c, req.user)));
+    } catch (error) {
+      console.error("Get complaints error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
     }
+  }
+);
 
-    // No pagination - return all results (backward compatible)
-    const complaints = await Complaint.find(query)
-      .populate("userId", "firstName lastName email avatar role")
-      .populate("assignedTo", "firstName lastName")
-      .sort({ createdAt: -1 });
+// @route   GET /api/complaints/map/clusters
+// @desc    Get clustered complaint counts for the hotspot map
+// @access  Private (Staff/Admin)
+router.get(
+  "/map/clusters",
+  protect,
+  authorize("staff", "admin"),
+  async (req, res) => {
+    try {
+      const filters = {};
 
-    res.json(complaints);
-  } catch (error) {
-    console.error("Get complaints error:", error);
-    res.status(500).json({ message: "Server error. Please try again." });
+      if (req.query.status && req.query.status !== "all") {
+        filters.status = req.query.status;
+      }
+
+      if (req.query.category && req.query.category !== "all") {
+        filters.category = req.query.category;
+      }
+
+      if (req.query.purok && req.query.purok !== "all") {
+        filters.purok = req.query.purok;
+      }
+
+      if (req.query.startDate || req.query.endDate) {
+        filters.createdAt = {};
+        if (req.query.startDate) {
+          filters.createdAt.$gte = new Date(req.query.startDate);
+        }
+        if (req.query.endDate) {
+          filters.createdAt.$lte = new Date(req.query.endDate);
+        }
+      }
+
+      const geo = parseGeoFilter(req.query);
+      if (geo.error) {
+        return res.status(400).json({ message: geo.error });
+      }
+
+      // Grid cell size in degrees (~0.005 is roughly 500 meters)
+      const cellSize = Math.min(
+        Math.max(parseFloat(req.query.cellSize) || 0.005, 0.0005),
+        1
+      );
+
+      const clusters = await Complaint.aggregate([
+        {
+          $match: {
+            ...filters,
+            location: geo.filter || { $exists: true },
+          },
+        },
+        {
+          $group: {
+            _id: {
+              lng: {
+                $floor: {
+                  $divide: [
+                    { $arrayElemAt: ["$location.coordinates", 0] },
+                    cellSize,
+                  ],
+                },
+              },
+              lat: {
+                $floor: {
+                  $divide: [
+                    { $arrayElemAt: ["$location.coordinates", 1] },
+                    cellSize,
+                  ],
+                },
+              },
+            },
+            count: { $sum: 1 },
+            longitude: { $avg: { $arrayElemAt: ["$location.coordinates", 0] } },
+            latitude: { $avg: { $arrayElemAt: ["$location.coordinates", 1] } },
+            categories: { $push: "$category" },
+          },
+        },
+        { $sort: { count: -1 } },
+      ]);
+
+      const byPurok = await Complaint.aggregate([
+        {
+          $match: {
+            ...filters,
+            purok: filters.purok || { $nin: [null, ""] },
+          },
+        },
+        { $group: { _id: "$purok", count: { $sum: 1 } } },
+        { $project: { name: "$_id", count: 1, _id: 0 } },
+        { $sort: { count: -1 } },
+      ]);
+
+      res.json({
+        cellSize,
+        clusters: clusters.map((cluster) => ({
+          latitude: cluster.latitude,
+          longitude: cluster.longitude,
+          count: cluster.count,
+          categories: cluster.categories.reduce((acc, category) => {
+            acc[category] = (acc[category] || 0) + 1;
+            return acc;
+          }, {}),
+        })),
+        byPurok,
+      });
+    } catch (error) {
+      console.error("Complaint clusters error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
   }
-});
+);
 
 // @route   POST /api/complaints
 // @desc    Create a new complaint
@@ -118,25 +349,48 @@ router.post(
     body("category")
       .notEmpty()
       .withMessage("Category is required")
-      .isIn([
-        "Infrastructure",
-        "Sanitation",
-        "Security",
-        "Noise",
-        "Lighting",
-        "Drainage",
-        "Road",
-        "Other",
-      ])
-      .withMessage("Invalid category"),
+      .bail()
+      .trim()
+      .custom(async (value, { req }) => {
+        req.complaintCategory = await getActiveCategory(value);
+        if (!req.complaintCategory) {
+          throw new Error("Invalid category");
+        }
+        return true;
+      }),
     body("priority")
       .optional()
       .isIn(["low", "medium", "high", "urgent"])
       .withMessage("Invalid priority level"),
-    body("attachments")
+    body("latitude")
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Latitude must be between -90 and 90")
+      .custom((value, { req }) => {
+        if (req.body.longitude === undefined) {
+          throw new Error("Latitude and longitude must be provided together");
+        }
+        return true;
+      }),
+    body("longitude")
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Longitude must be between -180 and 180")
+      .custom((value, { req }) => {
+        if (req.body.latitude === undefined) {
+          throw new Error("Latitude and longitude must be provided together");
+        }
+        return true;
+      }),
+    body("purok")
       .optional()
-      .isArray()
-      .withMessage("Attachments must be an array"),
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Purok/zone must not exceed 50 characters"),
+    body("isConfidential")
+      .optional()
+      .isBoolean()
+      .withMessage("isConfidential must be a boolean"),
   ],
   async (req, res) => {
     // Validate request
@@ -151,15 +405,64 @@ router.post(
     }
 
     try {
+      const category = req.complaintCategory;
+      const triage = await triageComplaint(
+        {
+          title: req.body.title,
+          description: req.body.description,
+          category: category.name,
+        },
+        req.body.priority,
+        category.defaultPriority
+      );
+      const { priority } = triage;
+      const assignee = await routeComplaint(category);
+
       const complaint = await Complaint.create({
         userId: req.user._id,
+        referenceNumber: await nextReferenceNumber("CMP"),
         title: req.body.title,
         description: req.body.description,
-        category: req.body.category,
-        priority: req.body.priority || "medium",
-        attachments: req.body.attachments || [],
+        category: category.name,
+        priority,
+        requestedPriority: req.body.priority,
+        triage: {
+          matchedRules: triage.matchedRules,
+          needsAttention: triage.needsAttention,
+        },
+        location:
+          req.body.latitude !== undefined && req.body.longitude !== undefined
+            ? toPoint(req.body.latitude, req.body.longitude)
+            : undefined,
+        purok: req.body.purok,
+        isConfidential:
+          req.body.isConfidential === true ||
+          req.body.isConfidential === "true",
+        sla: computeSlaDueDates(category, priority),
+        assignedTo: assignee?._id,
+        history: assignee
+          ? [
+              {
+                action: `Assigned to ${assignee.firstName} ${assignee.lastName}`,
+                by: "System",
+                timestamp: new Date(),
+                note: `Routed by the ${category.name} category rule`,
+              },
+            ]
+          : [],
       });
 
+      // Suggest likely duplicates so staff can merge them
+      const duplicates = await findDuplicateCandidates(complaint);
+      if (duplicates.length > 0) {
+        await Complaint.updateOne(
+          { _id: complaint._id },
+          {
+            duplicateCandidates: duplicates.map((match) => match.complaint._id),
+          }
+        );
+      }
+
       const populatedComplaint = await Complaint.findById(
         complaint._id
       ).populate("userId", "firstName lastName email avatar role");
@@ -172,10 +475,45 @@ router.post(
         req.ip
       );
 
+      if (assignee) {
+        await Notification.create({
+          userId: assignee._id,
+          title: "Complaint Assigned to You",
+          message: `A new ${category.name} complaint ${formatReference(
+            complaint
+          )} was routed to you.`,
+          type: "info",
+          relatedType: "complaint",
+          relatedId: complaint._id,
+        });
+      }
+
+      if (triage.needsAttention) {
+        await notifyAdminsAndStaff(
+          "🚨 Complaint Needs Immediate Attention",
+          `The ${category.name} complaint ${formatReference(
+            complaint
+          )} matched ${triage.matchedRules
+            .map((match) => `"${match.name}"`)
+            .join(", ")} and was triaged as ${priority} priority.`,
+          "error"
+        );
+      }
+
       // Notify all admins and staff about new complaint
       await notifyAdminsAndStaff(
         "New Complaint Submitted",
-        `${req.user.firstName} ${req.user.lastName} submitted a new ${req.body.category} complaint: "${req.body.title}"`,
+        `${reporterDisplayName(req.user, complaint)} submitted a new ${
+          category.name
+        } complaint: ${formatReference(complaint)}${
+          assignee
+            ? ` (routed to ${assignee.firstName} ${assignee.lastName})`
+            : ""
+        }${
+          duplicates.length > 0
+            ? ` (${duplicates.length} possible duplicate(s) found)`
+            : ""
+        }`,
         "info"
       );
 
@@ -187,6 +525,162 @@ router.post(
   }
 );
 
+const STATUS_MESSAGES = {
+  pending: "Your complaint is pending review",
+  "in-progress": "Your complaint is now being addressed",
+  resolved: "Your complaint has been resolved",
+  closed: "Your complaint has been closed",
+};
+
+/**
+ * Send a notification to everyone watching a complaint. Resident watchers
+ * (reporters of merged duplicates) cannot open the complaint, so they only
+ * get notifications that name nobody, such as status changes.
+ * @param {Object} complaint - The complaint document
+ * @param {Object} notification - Notification title, message and type
+ * @param {Set<string>} skip - User IDs that were already notified or acted
+ * @param {boolean} includeResidents - Whether resident watchers get it too
+ */
+const notifyWatchers = async (
+  complaint,
+  notification,
+  skip = new Set(),
+  includeResidents = false
+) => {
+  let watchers = (complaint.watchers || []).filter(
+    (watcherId) => !skip.has(watcherId.toString())
+  );
+
+  if (!includeResidents && watchers.length > 0) {
+    const staff = await User.find({
+      _id: { $in: watchers },
+      role: { $in: ["staff", "admin"] },
+    }).select("_id");
+    watchers = staff.map((user) => user._id);
+  }
+
+  const notifications = watchers.map((watcherId) => ({
+    ...notification,
+    userId: watcherId,
+    relatedType: "complaint",
+    relatedId: complaint._id,
+  }));
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
+};
+
+/**
+ * Apply a status change to a complaint and every complaint merged into it,
+ * then notify each reporter once
+ * @param {Object} complaint - The parent complaint document
+ * @param {string} status - The new status
+ * @param {Object} actor - The user performing the change
+ * @param {string} note - Optional note shown to reporters
+ * @param {string} historyNote - Note recorded in history (defaults to note)
+ */
+const applyStatusChange = async (
+  complaint,
+  status,
+  actor,
+  note,
+  historyNote = note
+) => {
+  const oldStatus = complaint.status;
+  const by = `${actor.firstName} ${actor.lastName}`;
+
+  complaint.status = status;
+  complaint.history.push({
+    action: `Status Updated to ${status}`,
+    by,
+    timestamp: new Date(),
+    note: historyNote,
+  });
+  await complaint.save();
+
+  // Merged children always mirror their parent's status
+  const children = await Complaint.find({ mergedInto: complaint._id });
+  for (const child of children) {
+    child.status = status;
+    child.history.push({
+      action: `Status Updated to ${status}`,
+      by,
+      timestamp: new Date(),
+      note: `Following merged complaint #${complaint._id}`,
+    });
+    await child.save();
+  }
+
+  const notified = new Set([actor._id.toString()]);
+  for (const reported of [complaint, ...children]) {
+    const ownerId = reported.userId.toString();
+    if (notified.has(ownerId)) continue;
+    notified.add(ownerId);
+
+    await Notification.create({
+      userId: reported.userId,
+      title: "Complaint Status Updated",
+      message: `Your complaint ${formatReference(
+        reported
+      )} status changed from ${oldStatus} to ${status}. ${
+        note ? note : STATUS_MESSAGES[status]
+      }`,
+      type:
+        status === "resolved"
+          ? "success"
+          : status === "closed"
+          ? "info"
+          : "warning",
+      relatedType: "complaint",
+      relatedId: reported._id,
+    });
+  }
+
+  await notifyWatchers(
+    complaint,
+    {
+      title: "Watched Complaint Updated",
+      message: `The complaint ${formatReference(
+        complaint
+      )} you are watching changed from ${oldStatus} to ${status}.`,
+      type: "info",
+    },
+    notified,
+    true
+  );
+};
+
+/**
+ * Handle a status update to the status the complaint already has: nothing
+ * changes and nobody is notified, but a note is kept in the history
+ * @param {Object} complaint - The complaint document
+ * @param {Object} actor - The user performing the update
+ * @param {string} note - Optional note
+ */
+const recordStatusNote = async (complaint, actor, note) => {
+  if (!note) return;
+
+  complaint.history.push({
+    action: `Status Note (${complaint.status})`,
+    by: `${actor.firstName} ${actor.lastName}`,
+    timestamp: new Date(),
+    note,
+  });
+  await complaint.save();
+};
+
+/**
+ * Build the 409 response body for a change attempted on a merged complaint
+ * @param {Object} complaint - The merged child complaint
+ * @returns {Object} Structured error payload
+ */
+const mergedError = (complaint) => ({
+  message: `Complaint is merged into #${complaint.mergedInto}. Update the parent complaint instead.`,
+  code: "COMPLAINT_MERGED",
+  mergedInto: complaint.mergedInto,
+});
+
 // @route   PUT /api/complaints/:id/status
 // @desc    Update complaint status
 // @access  Private (Staff/Admin)
@@ -225,16 +719,28 @@ router.put(
         return res.status(404).json({ message: "Complaint not found" });
       }
 
-      const oldStatus = complaint.status;
-      complaint.status = req.body.status;
-      complaint.history.push({
-        action: `Status Updated to ${req.body.status}`,
-        by: `${req.user.firstName} ${req.user.lastName}`,
-        timestamp: new Date(),
-        note: req.body.note,
-      });
+      if (complaint.mergedInto) {
+        return res.status(409).json(mergedError(complaint));
+      }
 
-      await complaint.save();
+      // Same status: a no-op that can still record a note
+      if (complaint.status === req.body.status) {
+        await recordStatusNote(complaint, req.user, req.body.note);
+        return res.json(redactComplaint(complaint, req.user));
+      }
+
+      if (!canTransition(complaint.status, req.body.status)) {
+        return res
+          .status(409)
+          .json(transitionError(complaint.status, req.body.status));
+      }
+
+      await applyStatusChange(
+        complaint,
+        req.body.status,
+        req.user,
+        req.body.note
+      );
       await createAuditLog(
         req.user._id,
         "UPDATE_COMPLAINT_STATUS",
@@ -243,35 +749,7 @@ router.put(
         req.ip
       );
 
-      // Create notification for the complaint owner
-      if (complaint.userId.toString() !== req.user._id.toString()) {
-        const statusMessages = {
-          pending: "Your complaint is pending review",
-          "in-progress": "Your complaint is now being addressed",
-          resolved: "Your complaint has been resolved",
-          closed: "Your complaint has been closed",
-        };
-
-        await Notification.create({
-          userId: complaint.userId,
-          title: "Complaint Status Updated",
-          message: `Your complaint "${
-            complaint.title
-          }" status changed from ${oldStatus} to ${req.body.status}. ${
-            req.body.note ? req.body.note : statusMessages[req.body.status]
-          }`,
-          type:
-            req.body.status === "resolved"
-              ? "success"
-              : req.body.status === "closed"
-              ? "info"
-              : "warning",
-          relatedType: "complaint",
-          relatedId: complaint._id,
-        });
-      }
-
-      res.json(complaint);
+      res.json(redactComplaint(complaint, req.user));
     } catch (error) {
       console.error("Update complaint status error:", error);
       res.status(500).json({ message: "Server error. Please try again." });
@@ -329,45 +807,35 @@ router.post(
             continue;
           }
 
-          const oldStatus = complaint.status;
-          complaint.status = status;
-          complaint.history.push({
-            action: `Status Updated to ${status}`,
-            by: `${req.user.firstName} ${req.user.lastName}`,
-            timestamp: new Date(),
-            note: note || `Bulk status update`,
-          });
+          if (complaint.mergedInto) {
+            const { message, code } = mergedError(complaint);
+            results.push({ id, success: false, error: message, code });
+            failedCount++;
+            continue;
+          }
+
+          if (complaint.status === status) {
+            await recordStatusNote(complaint, req.user, note);
+            results.push({ id, success: true, unchanged: true });
+            successCount++;
+            continue;
+          }
 
-          await complaint.save();
-
-          // Create notification for the complaint owner
-          if (complaint.userId.toString() !== req.user._id.toString()) {
-            const statusMessages = {
-              pending: "Your complaint is pending review",
-              "in-progress": "Your complaint is now being addressed",
-              resolved: "Your complaint has been resolved",
-              closed: "Your complaint has been closed",
-            };
-
-            await Notification.create({
-              userId: complaint.userId,
-              title: "Complaint Status Updated",
-              message: `Your complaint "${
-                complaint.title
-              }" status changed from ${oldStatus} to ${status}. ${
-                note ? note : statusMessages[status]
-              }`,
-              type:
-                status === "resolved"
-                  ? "success"
-                  : status === "closed"
-                  ? "info"
-                  : "warning",
-              relatedType: "complaint",
-              relatedId: complaint._id,
-            });
+          if (!canTransition(complaint.status, status)) {
+            const { message, code } = transitionError(complaint.status, status);
+            results.push({ id, success: false, error: message, code });
+            failedCount++;
+            continue;
           }
 
+          await applyStatusChange(
+            complaint,
+            status,
+            req.user,
+            note,
+            note || `Bulk status update`
+          );
+
           results.push({ id, success: true });
           successCount++;
         } catch (err) {
@@ -397,86 +865,1610 @@ router.post(
   }
 );
 
-// @route   POST /api/complaints/:id/comments
-// @desc    Add comment to complaint
-// @access  Private
-router.post(
-  "/:id/comments",
-  protect,
-  [
-    body("message")
-      .notEmpty()
-      .withMessage("Message is required")
-      .trim()
-      .isLength({ min: 1, max: 500 })
-      .withMessage("Message must be between 1 and 500 characters"),
-  ],
-  async (req, res) => {
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        message: "Validation failed",
-        errors: errors
-          .array()
-          .map((err) => ({ field: err.path, message: err.msg })),
-      });
-    }
+/**
+ * Notify the staff members and resident affected by an assignment change
+ * @param {Object} complaint - The complaint document
+ * @param {Object} actor - The user performing the change
+ * @param {Object|null} previousAssignee - The staff user previously assigned
+ * @param {Object|null} newAssignee - The staff user now assigned
+ */
+const notifyAssignmentChange = async (
+  complaint,
+  actor,
+  previousAssignee,
+  newAssignee
+) => {
+  const notifications = [];
+  const actorId = actor._id.toString();
 
-    try {
-      const complaint = await Complaint.findById(req.params.id);
+  if (newAssignee && newAssignee._id.toString() !== actorId) {
+    notifications.push({
+      userId: newAssignee._id,
+      title: "Complaint Assigned to You",
+      message: `${actor.firstName} ${actor.lastName} assigned you the ${
+        complaint.category
+      } complaint ${formatReference(complaint)}.`,
+      type: "info",
+      relatedType: "complaint",
+      relatedId: complaint._id,
+    });
+  }
 
-      if (!complaint) {
-        return res.status(404).json({ message: "Complaint not found" });
-      }
+  if (previousAssignee && previousAssignee._id.toString() !== actorId) {
+    notifications.push({
+      userId: previousAssignee._id,
+      title: "Complaint Unassigned",
+      message: `You are no longer assigned to the complaint ${formatReference(
+        complaint
+      )}.`,
+      type: "info",
+      relatedType: "complaint",
+      relatedId: complaint._id,
+    });
+  }
 
-      // Check if user has access to this complaint
-      if (
-        req.user.role === "resident" &&
-        complaint.userId.toString() !== req.user._id.toString()
-      ) {
-        return res
-          .status(403)
-          .json({ message: "Not authorized to comment on this complaint" });
-      }
+  if (complaint.userId.toString() !== actorId) {
+    notifications.push({
+      userId: complaint.userId,
+      title: "Complaint Assignment Updated",
+      message: newAssignee
+        ? `Your complaint ${formatReference(complaint)} has been assigned to ${
+            newAssignee.firstName
+          } ${newAssignee.lastName}.`
+        : `Your complaint ${formatReference(
+            complaint
+          )} is awaiting assignment to a staff member.`,
+      type: "info",
+      relatedType: "complaint",
+      relatedId: complaint._id,
+    });
+  }
 
-      const comment = {
-        userId: req.user._id,
-        userName: `${req.user.firstName} ${req.user.lastName}`,
-        userRole: req.user.role,
-        message: req.body.message,
-        timestamp: new Date(),
-      };
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
 
-      complaint.comments.push(comment);
-      await complaint.save();
+  await notifyWatchers(
+    complaint,
+    {
+      title: "Watched Complaint Reassigned",
+      message: newAssignee
+        ? `The complaint ${formatReference(
+            complaint
+          )} you are watching is now assigned to ${newAssignee.firstName} ${
+            newAssignee.lastName
+          }.`
+        : `The complaint ${formatReference(
+            complaint
+          )} you are watching is awaiting a new assignee.`,
+      type: "info",
+    },
+    new Set(
+      [actor, previousAssignee, newAssignee]
+        .filter(Boolean)
+        .map((user) => user._id.toString())
+        .concat(complaint.userId.toString())
+    )
+  );
+};
 
-      res.status(201).json(comment);
-    } catch (error) {
-      console.error("Add comment error:", error);
-      res.status(500).json({ message: "Server error. Please try again." });
-    }
+const assignmentValidation = [
+  body("assignedTo")
+    .notEmpty()
+    .withMessage("Assignee is required")
+    .isMongoId()
+    .withMessage("Invalid assignee ID format"),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note must not exceed 500 characters"),
+];
+
+/**
+ * Build the handler shared by the assign and reassign routes
+ * @param {boolean} isReassign - Whether the complaint must already be assigned
+ * @returns {Function} Express route handler
+ */
+const handleAssignment = (isReassign) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: errors
+        .array()
+        .map((err) => ({ field: err.path, message: err.msg })),
+    });
   }
-);
 
-// @route   GET /api/complaints/export
-// @desc    Export complaints data as CSV
-// @access  Private (Staff/Admin)
-router.get(
-  "/export",
-  protect,
-  authorize("staff", "admin"),
-  async (req, res) => {
-    try {
-      let query = {};
+  try {
+    const complaint = await Complaint.findById(req.params.id);
 
-      // Status filter
-      if (req.query.status && req.query.status !== "all") {
-        query.status = req.query.status;
-      }
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" });
+    }
 
-      // Category filter
-      if (req.query.category && req.query.category !== "all") {
+    if (complaint.status === "closed") {
+      return res
+        .status(400)
+        .json({ message: "Closed complaints cannot be assigned" });
+    }
+
+    if (!isReassign && complaint.assignedTo) {
+      return res.status(409).json({
+        message: "Complaint is already assigned. Use reassign instead.",
+      });
+    }
+
+    if (isReassign && !complaint.assignedTo) {
+      return res.status(409).json({
+        message: "Complaint is not assigned yet. Use assign instead.",
+      });
+    }
+
+    if (
+      complaint.assignedTo &&
+      complaint.assignedTo.toString() === req.body.assignedTo
+    ) {
+      return res
+        .status(409)
+        .json({ message: "Complaint is already assigned to this user" });
+    }
+
+    const assignee = await User.findById(req.body.assignedTo).select(
+      "firstName lastName role"
+    );
+
+    if (!assignee || !["staff", "admin"].includes(assignee.role)) {
+      return res
+        .status(400)
+        .json({ message: "Assignee must be a staff or admin user" });
+    }
+
+    const previousAssignee = complaint.assignedTo
+      ? await User.findById(complaint.assignedTo).select("firstName lastName")
+      : null;
+
+    complaint.assignedTo = assignee._id;
+    complaint.history.push({
+      action: previousAssignee
+        ? `Reassigned from ${previousAssignee.firstName} ${previousAssignee.lastName} to ${assignee.firstName} ${assignee.lastName}`
+        : `Assigned to ${assignee.firstName} ${assignee.lastName}`,
+      by: `${req.user.firstName} ${req.user.lastName}`,
+      timestamp: new Date(),
+      note: req.body.note,
+    });
+
+    await complaint.save();
+    await createAuditLog(
+      req.user._id,
+      isReassign ? "REASSIGN_COMPLAINT" : "ASSIGN_COMPLAINT",
+      `Complaint #${complaint._id}`,
+      {
+        assignedTo: assignee._id,
+        previousAssignee: previousAssignee?._id || null,
+      },
+      "success",
+      req.ip
+    );
+
+    await notifyAssignmentChange(
+      complaint,
+      req.user,
+      previousAssignee,
+      assignee
+    );
+
+    const populatedComplaint = await Complaint.findById(complaint._id)
+      .populate("userId", "firstName lastName email avatar role")
+      .populate("assignedTo", "firstName lastName");
+
+    res.json(redactComplaint(populatedComplaint, req.user));
+  } catch (error) {
+    console.error("Assign complaint error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+};
+
+// @route   PUT /api/complaints/:id/assign
+// @desc    Assign an unassigned complaint to a staff member
+// @access  Private (Staff/Admin)
+router.put(
+  "/:id/assign",
+  protect,
+  authorize("staff", "admin"),
+  assignmentValidation,
+  handleAssignment(false)
+);
+
+// @route   PUT /api/complaints/:id/reassign
+// @desc    Move an assigned complaint to a different staff member
+// @access  Private (Staff/Admin)
+router.put(
+  "/:id/reassign",
+  protect,
+  authorize("staff", "admin"),
+  assignmentValidation,
+  handleAssignment(true)
+);
+
+// @route   PUT /api/complaints/:id/unassign
+// @desc    Remove the current assignee from a complaint
+// @access  Private (Staff/Admin)
+router.put(
+  "/:id/unassign",
+  protect,
+  authorize("staff", "admin"),
+  [
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Note must not exceed 500 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const complaint = await Complaint.findById(req.params.id);
+
+      if (!complaint) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      if (!complaint.assignedTo) {
+        return res
+          .status(409)
+          .json({ message: "Complaint is not assigned to anyone" });
+      }
+
+      const previousAssignee = await User.findById(complaint.assignedTo).select(
+        "firstName lastName"
+      );
+
+      complaint.assignedTo = null;
+      complaint.history.push({
+        action: previousAssignee
+          ? `Unassigned from ${previousAssignee.firstName} ${previousAssignee.lastName}`
+          : "Unassigned",
+        by: `${req.user.firstName} ${req.user.lastName}`,
+        timestamp: new Date(),
+        note: req.body.note,
+      });
+
+      await complaint.save();
+      await createAuditLog(
+        req.user._id,
+        "UNASSIGN_COMPLAINT",
+        `Complaint #${complaint._id}`,
+        { previousAssignee: previousAssignee?._id || null },
+        "success",
+        req.ip
+      );
+
+      await notifyAssignmentChange(complaint, req.user, previousAssignee, null);
+
+      const populatedComplaint = await Complaint.findById(
+        complaint._id
+      ).populate("userId", "firstName lastName email avatar role");
+
+      res.json(redactComplaint(populatedComplaint, req.user));
+    } catch (error) {
+      console.error("Unassign complaint error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   PUT /api/complaints/:id/reopen
+// @desc    Reopen a resolved complaint within the reopen window
+// @access  Private (Residents only)
+router.put(
+  "/:id/reopen",
+  protect,
+  residentOnly,
+  [
+    body("reason")
+      .notEmpty()
+      .withMessage("Reason is required")
+      .trim()
+      .isLength({ min: 10, max: 500 })
+      .withMessage("Reason must be between 10 and 500 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const complaint = await Complaint.findById(req.params.id);
+
+      if (!complaint) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      if (complaint.userId.toString() !== req.user._id.toString()) {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to reopen this complaint" });
+      }
+
+      if (complaint.mergedInto) {
+        return res.status(409).json(mergedError(complaint));
+      }
+
+      if (complaint.status !== "resolved") {
+        return res.status(409).json({
+          message: "Only resolved complaints can be reopened",
+          code: "INVALID_STATUS_TRANSITION",
+          from: complaint.status,
+          to: "pending",
+        });
+      }
+
+      if (!isWithinReopenWindow(complaint)) {
+        return res.status(409).json({
+          message: `Complaints can only be reopened within ${REOPEN_CONFIG.windowDays} days of being resolved`,
+          code: "REOPEN_WINDOW_EXPIRED",
+        });
+      }
+
+      const reopenedAt = new Date();
+      complaint.status = "pending";
+      complaint.reopenCount += 1;
+
+      // The SLA clock restarts from the reopen
+      const category = await getActiveCategory(complaint.category);
+      complaint.sla = {
+        ...computeSlaDueDates(category, complaint.priority, reopenedAt),
+        respondedAt: undefined,
+        responseBreachedAt: undefined,
+        resolutionBreachedAt: undefined,
+        breached: false,
+      };
+      complaint.history.push({
+        action: "Complaint Reopened",
+        by: reporterDisplayName(req.user, complaint),
+        timestamp: reopenedAt,
+        note: req.body.reason,
+      });
+
+      await complaint.save();
+      await createAuditLog(
+        req.user._id,
+        "REOPEN_COMPLAINT",
+        `Complaint #${complaint._id}`,
+        { reason: req.body.reason },
+        "success",
+        req.ip
+      );
+
+      // Let the assignee pick it back up, or the whole desk if unassigned
+      if (complaint.assignedTo) {
+        await Notification.create({
+          userId: complaint.assignedTo,
+          title: "Complaint Reopened",
+          message: `${reporterDisplayName(
+            req.user,
+            complaint
+          )} reopened the complaint ${formatReference(complaint)}: ${
+            req.body.reason
+          }`,
+          type: "warning",
+          relatedType: "complaint",
+          relatedId: complaint._id,
+        });
+      } else {
+        await notifyAdminsAndStaff(
+          "Complaint Reopened",
+          `${reporterDisplayName(
+            req.user,
+            complaint
+          )} reopened the complaint ${formatReference(complaint)}: ${
+            req.body.reason
+          }`,
+          "warning"
+        );
+      }
+
+      res.json(complaint);
+    } catch (error) {
+      console.error("Reopen complaint error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   PUT /api/complaints/:id/feedback
+// @desc    Rate a resolved or closed complaint (one edit allowed)
+// @access  Private (Residents only)
+router.put(
+  "/:id/feedback",
+  protect,
+  residentOnly,
+  [
+    body("rating")
+      .notEmpty()
+      .withMessage("Rating is required")
+      .isInt({ min: 1, max: 5 })
+      .withMessage("Rating must be a whole number between 1 and 5"),
+    body("feedback")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Feedback must not exceed 1000 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const complaint = await Complaint.findById(req.params.id);
+
+      if (!complaint) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      if (complaint.userId.toString() !== req.user._id.toString()) {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to rate this complaint" });
+      }
+
+      if (!["resolved", "closed"].includes(complaint.status)) {
+        return res.status(400).json({
+          message: "Only resolved or closed complaints can be rated",
+        });
+      }
+
+      const isEdit = Boolean(complaint.rating);
+
+      if (isEdit && complaint.ratingEditCount >= 1) {
+        return res.status(409).json({
+          message: "Feedback for this complaint can only be edited once",
+        });
+      }
+
+      complaint.rating = parseInt(req.body.rating);
+      complaint.feedback = req.body.feedback;
+      complaint.ratedAt = new Date();
+      if (isEdit) {
+        complaint.ratingEditCount += 1;
+      }
+      complaint.history.push({
+        action: isEdit ? "Feedback Updated" : "Feedback Submitted",
+        by: reporterDisplayName(req.user, complaint),
+        timestamp: new Date(),
+        note: `Rated ${complaint.rating}/5`,
+      });
+
+      await complaint.save();
+      await createAuditLog(
+        req.user._id,
+        isEdit ? "UPDATE_COMPLAINT_FEEDBACK" : "SUBMIT_COMPLAINT_FEEDBACK",
+        `Complaint #${complaint._id}`,
+        { rating: complaint.rating },
+        "success",
+        req.ip
+      );
+
+      res.json(complaint);
+    } catch (error) {
+      console.error("Complaint feedback error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   GET /api/complaints/:id/duplicates
+// @desc    Get possible duplicates and complaints already merged into this one
+// @access  Private (Staff/Admin)
+router.get(
+  "/:id/duplicates",
+  protect,
+  authorize("staff", "admin"),
+  async (req, res) => {
+    try {
+      const complaint = await Complaint.findById(req.params.id);
+
+      if (!complaint) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      const candidates = await findDuplicateCandidates(complaint);
+      const merged = await Complaint.find({ mergedInto: complaint._id })
+        .populate("userId", "firstName lastName email avatar role")
+        .sort({ createdAt: 1 });
+
+      res.json({
+        candidates: candidates.map((match) => ({
+          ...redactComplaint(match.complaint, req.user),
+          similarity: Math.round(match.score * 100) / 100,
+        })),
+        merged: merged.map((c) => redactComplaint(c, req.user)),
+      });
+    } catch (error) {
+      console.error("Get duplicate complaints error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   POST /api/complaints/:id/merge
+// @desc    Merge duplicate complaints into this (parent) complaint
+// @access  Private (Staff/Admin)
+router.post(
+  "/:id/merge",
+  protect,
+  authorize("staff", "admin"),
+  [
+    body("childIds")
+      .isArray({ min: 1 })
+      .withMessage("At least one complaint ID is required"),
+    body("childIds.*").isMongoId().withMessage("Invalid complaint ID format"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Note must not exceed 500 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const parent = await Complaint.findById(req.params.id);
+
+      if (!parent) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      if (parent.mergedInto) {
+        return res.status(409).json(mergedError(parent));
+      }
+
+      if (parent.status === "closed") {
+        return res
+          .status(400)
+          .json({ message: "Cannot merge into a closed complaint" });
+      }
+
+      const childIds = [...new Set(req.body.childIds)];
+      if (childIds.includes(parent._id.toString())) {
+        return res
+          .status(400)
+          .json({ message: "A complaint cannot be merged into itself" });
+      }
+
+      const children = await Complaint.find({ _id: { $in: childIds } });
+      const problems = childIds
+        .map((id) => {
+          const child = children.find((c) => c._id.toString() === id);
+          if (!child) return { id, error: "Complaint not found" };
+          if (child.mergedInto) return { id, error: "Already merged" };
+          if (child.status === "closed") {
+            return { id, error: "Complaint is closed" };
+          }
+          // Children take the parent's status, so that move must be legal
+          if (
+            child.status !== parent.status &&
+            !canTransition(child.status, parent.status)
+          ) {
+            const { message, code } = transitionError(
+              child.status,
+              parent.status
+            );
+            return { id, error: message, code };
+          }
+          return null;
+        })
+        .filter(Boolean);
+
+      if (problems.length > 0) {
+        return res.status(400).json({
+          message: "Some complaints cannot be merged",
+          errors: problems,
+        });
+      }
+
+      const by = `${req.user.firstName} ${req.user.lastName}`;
+
+      for (const child of children) {
+        child.mergedInto = parent._id;
+        child.mergedAt = new Date();
+        if (child.status !== parent.status) {
+          child.status = parent.status;
+          child.history.push({
+            action: `Status Updated to ${parent.status}`,
+            by,
+            timestamp: new Date(),
+            note: `Following merged complaint #${parent._id}`,
+          });
+        }
+        child.history.push({
+          action: `Merged into complaint #${parent._id}`,
+          by,
+          timestamp: new Date(),
+          note: req.body.note,
+        });
+        await child.save();
+
+        // Anything already merged into the child now follows the new parent
+        await Complaint.updateMany(
+          { mergedInto: child._id },
+          { mergedInto: parent._id }
+        );
+
+        parent.history.push({
+          action: `Merged complaint #${child._id}`,
+          by,
+          timestamp: new Date(),
+          note: req.body.note,
+        });
+
+        // Reporters and watchers of the duplicate follow the combined report
+        for (const userId of [child.userId, ...child.watchers]) {
+          if (!userId.equals(parent.userId)) {
+            parent.watchers.addToSet(userId);
+          }
+        }
+      }
+
+      await parent.save();
+      await Complaint.updateOne(
+        { _id: parent._id },
+        { $pull: { duplicateCandidates: { $in: childIds } } }
+      );
+
+      await createAuditLog(
+        req.user._id,
+        "MERGE_COMPLAINTS",
+        `Complaint #${parent._id}`,
+        { merged: childIds },
+        "success",
+        req.ip
+      );
+
+      const notifications = children
+        .filter((child) => child.userId.toString() !== req.user._id.toString())
+        .map((child) => ({
+          userId: child.userId,
+          title: "Complaint Merged",
+          message: `Your complaint ${formatReference(
+            child
+          )} was merged with an existing report of the same issue. You will keep receiving status updates and now follow the combined report.`,
+          type: "info",
+          relatedType: "complaint",
+          relatedId: child._id,
+        }));
+
+      if (notifications.length > 0) {
+        await Notification.insertMany(notifications);
+      }
+
+      const merged = await Complaint.find({ mergedInto: parent._id }).sort({
+        createdAt: 1,
+      });
+
+      res.json({
+        parent: redactComplaint(parent, req.user),
+        merged: merged.map((c) => redactComplaint(c, req.user)),
+      });
+    } catch (error) {
+      console.error("Merge complaints error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+/**
+ * Check whether a user may see a complaint and its evidence
+ * @param {Object} user - The requesting user
+ * @param {Object} complaint - The complaint document
+ * @returns {boolean} True for staff, admins and the complainant
+ */
+const canAccessComplaint = (user, complaint) =>
+  ["staff", "admin"].includes(user.role) ||
+  (complaint.userId._id || complaint.userId).toString() === user._id.toString();
+
+// @route   GET /api/complaints/attachments/download
+// @desc    Download an attachment through a signed URL
+// @access  Public (signed token)
+router.get("/attachments/download", async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = jwt.verify(req.query.token || "", process.env.JWT_SECRET);
+    } catch (error) {
+      return res
+        .status(401)
+        .json({ message: "Download link is invalid or has expired" });
+    }
+
+    if (payload.purpose !== "attachment") {
+      return res
+        .status(401)
+        .json({ message: "Download link is invalid or has expired" });
+    }
+
+    const complaint = await Complaint.findById(payload.complaintId);
+    const attachment = complaint?.attachments.id(payload.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    await sendStoredFile(res, attachment);
+  } catch (error) {
+    console.error("Download attachment error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   POST /api/complaints/:id/attachments
+// @desc    Upload evidence files (multipart field "files")
+// @access  Private (Complainant/Staff/Admin)
+router.post(
+  "/:id/attachments",
+  protect,
+  uploadFiles("files"),
+  async (req, res) => {
+    const savedKeys = [];
+
+    try {
+      const complaint = await Complaint.findById(req.params.id);
+
+      if (!complaint) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      if (!canAccessComplaint(req.user, complaint)) {
+        return res.status(403).json({
+          message: "Not authorized to add attachments to this complaint",
+        });
+      }
+
+      const files = req.files || [];
+      const rejected = [...(req.rejectedFiles || [])];
+
+      if (files.length === 0) {
+        return res.status(400).json({
+          message:
+            "No valid files uploaded. Allowed types: JPEG, PNG, WebP, PDF",
+          rejected,
+        });
+      }
+
+      if (
+        complaint.attachments.length + files.length >
+        UPLOAD_CONFIG.maxPerComplaint
+      ) {
+        return res.status(400).json({
+          message: `A complaint can have at most ${UPLOAD_CONFIG.maxPerComplaint} attachments`,
+        });
+      }
+
+      const storage = getStorage();
+      const added = [];
+
+      for (const file of files) {
+        // Trust the file contents, not the type the client declared
+        const processed = processUpload(file);
+        if (!processed) {
+          rejected.push(file.originalname);
+          continue;
+        }
+
+        const key = `complaints/${complaint._id}/${randomFileName(
+          processed.extension
+        )}`;
+        await storage.save(key, processed.buffer);
+        savedKeys.push(key);
+
+        complaint.attachments.push({
+          key,
+          originalName: file.originalname,
+          mimeType: processed.mimeType,
+          size: processed.buffer.length,
+          uploadedBy: req.user._id,
+        });
+        added.push(complaint.attachments[complaint.attachments.length - 1]);
+      }
+
+      if (added.length === 0) {
+        return res.status(400).json({
+          message:
+            "No valid files uploaded. Allowed types: JPEG, PNG, WebP, PDF",
+          rejected,
+        });
+      }
+
+      complaint.history.push({
+        action: `${added.length} Attachment(s) Added`,
+        by: reporterDisplayName(req.user, complaint),
+        timestamp: new Date(),
+        note: added.map((attachment) => attachment.originalName).join(", "),
+      });
+
+      await complaint.save();
+      await createAuditLog(
+        req.user._id,
+        "UPLOAD_COMPLAINT_ATTACHMENT",
+        `Complaint #${complaint._id}`,
+        { files: added.map((attachment) => attachment._id) },
+        "success",
+        req.ip
+      );
+
+      res.status(201).json({ attachments: added, rejected });
+    } catch (error) {
+      console.error("Upload attachment error:", error);
+
+      // Files stored before the failure are not referenced anywhere
+      for (const key of savedKeys) {
+        await getStorage()
+          .remove(key)
+          .catch(() => {});
+      }
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   GET /api/complaints/:id/attachments/:attachmentId
+// @desc    Download an attachment
+// @access  Private (Complainant/Staff/Admin)
+router.get("/:id/attachments/:attachmentId", protect, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" });
+    }
+
+    if (!canAccessComplaint(req.user, complaint)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to view this attachment" });
+    }
+
+    const attachment = complaint.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    await sendStoredFile(res, attachment);
+  } catch (error) {
+    console.error("Get attachment error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   GET /api/complaints/:id/attachments/:attachmentId/url
+// @desc    Get a short-lived signed download URL (for <img> tags and links)
+// @access  Private (Complainant/Staff/Admin)
+router.get("/:id/attachments/:attachmentId/url", protect, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" });
+    }
+
+    if (!canAccessComplaint(req.user, complaint)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to view this attachment" });
+    }
+
+    const attachment = complaint.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    const expiresIn = process.env.ATTACHMENT_URL_EXPIRE || "10m";
+    const token = jwt.sign(
+      {
+        purpose: "attachment",
+        complaintId: complaint._id,
+        attachmentId: attachment._id,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+
+    res.json({
+      url: `${req.baseUrl}/attachments/download?token=${token}`,
+      expiresIn,
+    });
+  } catch (error) {
+    console.error("Get attachment URL error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   DELETE /api/complaints/:id/attachments/:attachmentId
+// @desc    Remove an attachment
+// @access  Private (Uploader/Staff/Admin)
+router.delete("/:id/attachments/:attachmentId", protect, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" });
+    }
+
+    const attachment = complaint.attachments.id(req.params.attachmentId);
+    if (!attachment || !canAccessComplaint(req.user, complaint)) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    if (
+      req.user.role === "resident" &&
+      attachment.uploadedBy.toString() !== req.user._id.toString()
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to remove this attachment" });
+    }
+
+    await getStorage().remove(attachment.key);
+    attachment.deleteOne();
+    complaint.history.push({
+      action: "Attachment Removed",
+      by: reporterDisplayName(req.user, complaint),
+      timestamp: new Date(),
+      note: attachment.originalName,
+    });
+
+    await complaint.save();
+    await createAuditLog(
+      req.user._id,
+      "DELETE_COMPLAINT_ATTACHMENT",
+      `Complaint #${complaint._id}`,
+      { attachmentId: attachment._id },
+      "success",
+      req.ip
+    );
+
+    res.json({ message: "Attachment removed" });
+  } catch (error) {
+    console.error("Delete attachment error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   POST /api/complaints/:id/reveal-reporter
+// @desc    Reveal the reporter of a confidential complaint (audited)
+// @access  Private (Admin)
+router.post(
+  "/:id/reveal-reporter",
+  protect,
+  authorize("admin"),
+  [
+    body("reason")
+      .notEmpty()
+      .withMessage("Reason is required")
+      .trim()
+      .isLength({ min: 10, max: 500 })
+      .withMessage("Reason must be between 10 and 500 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const complaint = await Complaint.findById(req.params.id).populate(
+        "userId",
+        "firstName lastName email phoneNumber address"
+      );
+
+      if (!complaint) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      if (!complaint.isConfidential) {
+        return res
+          .status(400)
+          .json({ message: "Complaint is not confidential" });
+      }
+
+      await createAuditLog(
+        req.user._id,
+        "REVEAL_CONFIDENTIAL_REPORTER",
+        `Complaint #${complaint._id}`,
+        { reason: req.body.reason, reporter: complaint.userId?._id },
+        "success",
+        req.ip
+      );
+
+      res.json(complaint.userId);
+    } catch (error) {
+      console.error("Reveal reporter error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+const commentValidation = [
+  body("message")
+    .notEmpty()
+    .withMessage("Message is required")
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Message must be between 1 and 500 characters"),
+];
+
+/**
+ * Notify staff users newly @mentioned in a comment
+ * @param {Object} complaint - The complaint document
+ * @param {Object} comment - The comment subdocument
+ * @param {Array<Object>} mentioned - Mentioned staff users
+ */
+const notifyMentions = async (complaint, comment, mentioned) => {
+  const notifications = mentioned
+    .filter((user) => user._id.toString() !== comment.userId.toString())
+    .map((user) => ({
+      userId: user._id,
+      title: "You Were Mentioned",
+      message: `${
+        comment.userName
+      } mentioned you in a comment on the complaint ${formatReference(
+        complaint
+      )}.`,
+      type: "info",
+      relatedType: "complaint",
+      relatedId: complaint._id,
+    }));
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
+};
+
+// @route   POST /api/complaints/:id/comments
+// @desc    Add comment to complaint; @mentions notify staff
+// @access  Private
+router.post("/:id/comments", protect, commentValidation, async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: errors
+        .array()
+        .map((err) => ({ field: err.path, message: err.msg })),
+    });
+  }
+
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" });
+    }
+
+    // Check if user has access to this complaint
+    if (
+      req.user.role === "resident" &&
+      complaint.userId.toString() !== req.user._id.toString()
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to comment on this complaint" });
+    }
+
+    const mentioned = await findMentionedStaff(req.body.message);
+
+    complaint.comments.push({
+      userId: req.user._id,
+      userName: reporterDisplayName(req.user, complaint),
+      userRole: req.user.role,
+      message: req.body.message,
+      timestamp: new Date(),
+      mentions: mentioned.map((user) => user._id),
+    });
+    await complaint.save();
+
+    const comment = complaint.comments[complaint.comments.length - 1];
+    await notifyMentions(complaint, comment, mentioned);
+    await notifyWatchers(
+      complaint,
+      {
+        title: "New Comment on Watched Complaint",
+        message: `${
+          comment.userName
+        } commented on the complaint ${formatReference(complaint)}.`,
+        type: "info",
+      },
+      new Set([req.user._id, ...comment.mentions].map((id) => id.toString()))
+    );
+
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error("Add comment error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   PUT /api/complaints/:id/comments/:commentId
+// @desc    Edit own comment, keeping the previous version in its history
+// @access  Private (Author; residents only within the edit window)
+router.put(
+  "/:id/comments/:commentId",
+  protect,
+  commentValidation,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const complaint = await Complaint.findById(req.params.id);
+
+      if (!complaint || !canAccessComplaint(req.user, complaint)) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      const comment = complaint.comments.id(req.params.commentId);
+      if (!comment) {
+        return res.status(404).json({ message: "Comment not found" });
+      }
+
+      if (comment.userId.toString() !== req.user._id.toString()) {
+        return res
+          .status(403)
+          .json({ message: "You can only edit your own comments" });
+      }
+
+      if (!canEditComment(comment, req.user)) {
+        return res.status(403).json({
+          message: comment.isDeleted
+            ? "Deleted comments cannot be edited"
+            : `Comments can only be edited within ${COMMENT_CONFIG.residentEditWindowMinutes} minutes of posting`,
+        });
+      }
+
+      if (comment.message === req.body.message) {
+        return res.json(comment);
+      }
+
+      const previousMessage = comment.message;
+      const mentioned = await findMentionedStaff(req.body.message);
+      const newlyMentioned = mentioned.filter(
+        (user) => !comment.mentions.some((id) => id.equals(user._id))
+      );
+
+      comment.editHistory.push({
+        message: previousMessage,
+        editedAt: new Date(),
+      });
+      comment.message = req.body.message;
+      comment.editedAt = new Date();
+      comment.mentions = mentioned.map((user) => user._id);
+      await complaint.save();
+
+      await createAuditLog(
+        req.user._id,
+        "EDIT_COMPLAINT_COMMENT",
+        `Complaint #${complaint._id}`,
+        {
+          commentId: comment._id,
+          previousMessage,
+          message: comment.message,
+        },
+        "success",
+        req.ip
+      );
+
+      await notifyMentions(complaint, comment, newlyMentioned);
+
+      res.json(comment);
+    } catch (error) {
+      console.error("Edit comment error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   DELETE /api/complaints/:id/comments/:commentId
+// @desc    Soft delete a comment, leaving a placeholder in the thread
+// @access  Private (Author/Staff/Admin)
+router.delete("/:id/comments/:commentId", protect, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint || !canAccessComplaint(req.user, complaint)) {
+      return res.status(404).json({ message: "Complaint not found" });
+    }
+
+    const comment = complaint.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    if (
+      req.user.role === "resident" &&
+      comment.userId.toString() !== req.user._id.toString()
+    ) {
+      return res
+        .status(403)
+        .json({ message: "You can only delete your own comments" });
+    }
+
+    // Keep the removed text for staff review and the audit trail
+    comment.editHistory.push({
+      message: comment.message,
+      editedAt: new Date(),
+    });
+    comment.message = DELETED_COMMENT_PLACEHOLDER;
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user._id;
+    comment.mentions = [];
+    await complaint.save();
+
+    await createAuditLog(
+      req.user._id,
+      "DELETE_COMPLAINT_COMMENT",
+      `Complaint #${complaint._id}`,
+      { commentId: comment._id, authorId: comment.userId },
+      "success",
+      req.ip
+    );
+
+    res.json({ message: "Comment deleted", comment });
+  } catch (error) {
+    console.error("Delete comment error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   GET /api/complaints/:id/watchers
+// @desc    List the users watching a complaint
+// @access  Private (Staff/Admin)
+router.get(
+  "/:id/watchers",
+  protect,
+  authorize("staff", "admin"),
+  async (req, res) => {
+    try {
+      const complaint = await Complaint.findById(req.params.id)
+        .select("watchers")
+        .populate("watchers", "firstName lastName role");
+
+      if (!complaint) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      res.json(complaint.watchers);
+    } catch (error) {
+      console.error("Get watchers error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   POST /api/complaints/:id/watch
+// @desc    Follow a complaint's status, comment and assignment updates
+// @access  Private (Staff/Admin, or residents whose complaint was merged into it)
+router.post("/:id/watch", protect, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" });
+    }
+
+    if (complaint.userId.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        message: "You already receive updates for your own complaint",
+      });
+    }
+
+    if (
+      req.user.role === "resident" &&
+      !(await Complaint.exists({
+        mergedInto: complaint._id,
+        userId: req.user._id,
+      }))
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to watch this complaint" });
+    }
+
+    await Complaint.updateOne(
+      { _id: complaint._id },
+      { $addToSet: { watchers: req.user._id } }
+    );
+
+    res.json({
+      message: "You are now watching this complaint",
+      watching: true,
+    });
+  } catch (error) {
+    console.error("Watch complaint error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   DELETE /api/complaints/:id/watch
+// @desc    Stop receiving updates for a watched complaint
+// @access  Private
+router.delete("/:id/watch", protect, async (req, res) => {
+  try {
+    const result = await Complaint.updateOne(
+      { _id: req.params.id },
+      { $pull: { watchers: req.user._id } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: "Complaint not found" });
+    }
+
+    res.json({
+      message: "You will no longer receive updates for this complaint",
+      watching: false,
+    });
+  } catch (error) {
+    console.error("Unwatch complaint error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   GET /api/complaints/:id/notes
+// @desc    Get internal staff notes for a complaint
+// @access  Private (Staff/Admin)
+router.get(
+  "/:id/notes",
+  protect,
+  authorize("staff", "admin"),
+  async (req, res) => {
+    try {
+      const complaint = await Complaint.findById(req.params.id).select(
+        "+internalNotes"
+      );
+
+      if (!complaint) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      res.json(complaint.internalNotes);
+    } catch (error) {
+      console.error("Get internal notes error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   POST /api/complaints/:id/notes
+// @desc    Add an internal note (never visible to the complainant)
+// @access  Private (Staff/Admin)
+router.post(
+  "/:id/notes",
+  protect,
+  authorize("staff", "admin"),
+  [
+    body("message")
+      .notEmpty()
+      .withMessage("Message is required")
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage("Message must be between 1 and 1000 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const complaint = await Complaint.findById(req.params.id).select(
+        "+internalNotes"
+      );
+
+      if (!complaint) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      const note = {
+        userId: req.user._id,
+        userName: `${req.user.firstName} ${req.user.lastName}`,
+        userRole: req.user.role,
+        message: req.body.message,
+        timestamp: new Date(),
+      };
+
+      complaint.internalNotes.push(note);
+      await complaint.save();
+
+      await createAuditLog(
+        req.user._id,
+        "ADD_COMPLAINT_INTERNAL_NOTE",
+        `Complaint #${complaint._id}`,
+        {},
+        "success",
+        req.ip
+      );
+
+      // Keep the assignee in the loop without exposing the note to the resident
+      if (
+        complaint.assignedTo &&
+        complaint.assignedTo.toString() !== req.user._id.toString()
+      ) {
+        await Notification.create({
+          userId: complaint.assignedTo,
+          title: "New Internal Note",
+          message: `${
+            note.userName
+          } added an internal note to the complaint ${formatReference(
+            complaint
+          )}.`,
+          type: "info",
+          relatedType: "complaint",
+          relatedId: complaint._id,
+        });
+      }
+
+      res
+        .status(201)
+        .json(complaint.internalNotes[complaint.internalNotes.length - 1]);
+    } catch (error) {
+      console.error("Add internal note error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// Worksheet names for the XLSX export
+const STATUS_SHEET_NAMES = {
+  pending: "Pending",
+  "in-progress": "In Progress",
+  resolved: "Resolved",
+  closed: "Closed",
+};
+
+// Columns shared by the CSV and XLSX exports
+const EXPORT_COLUMNS = [
+  { header: "ID", width: 26, value: (c) => c._id.toString() },
+  { header: "Reference No.", width: 18, value: (c) => c.referenceNumber },
+  { header: "Title", width: 40, value: (c) => c.title },
+  { header: "Description", width: 60, value: (c) => c.description },
+  { header: "Category", width: 16, value: (c) => c.category },
+  { header: "Status", width: 12, value: (c) => c.status },
+  { header: "Priority", width: 10, value: (c) => c.priority },
+  {
+    header: "Submitted By",
+    width: 24,
+    value: (c) =>
+      c.userId ? `${c.userId.firstName} ${c.userId.lastName}` : "",
+  },
+  { header: "Email", width: 28, value: (c) => c.userId?.email },
+  {
+    header: "Assigned To",
+    width: 24,
+    value: (c) =>
+      c.assignedTo ? `${c.assignedTo.firstName} ${c.assignedTo.lastName}` : "",
+  },
+  {
+    header: "Created At",
+    width: 22,
+    value: (c) => (c.createdAt ? new Date(c.createdAt).toISOString() : ""),
+  },
+  {
+    header: "Updated At",
+    width: 22,
+    value: (c) => (c.updatedAt ? new Date(c.updatedAt).toISOString() : ""),
+  },
+];
+
+/**
+ * Quote a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+const csvCell = (value) => {
+  const text = String(value ?? "").replace(/\r?\n/g, " ");
+  return /[",]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write to a response, waiting for it to drain when its buffer is full.
+ * Throws if the client goes away instead, so the export stops.
+ * @param {Object} res - Express response object
+ * @param {string} chunk - Data to write
+ */
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) {
+    throw new Error("Client closed the connection");
+  }
+  if (res.write(chunk)) return;
+
+  const waiting = new AbortController();
+  try {
+    await Promise.race([
+      once(res, "drain", { signal: waiting.signal }),
+      once(res, "close", { signal: waiting.signal }).then(() => {
+        throw new Error("Client closed the connection");
+      }),
+    ]);
+  } finally {
+    waiting.abort();
+  }
+};
+
+// @route   GET /api/complaints/export
+// @desc    Export complaints as CSV, XLSX (one sheet per status) or JSON, streamed
+// @access  Private (Staff/Admin)
+router.get(
+  "/export",
+  protect,
+  authorize("staff", "admin"),
+  async (req, res) => {
+    const format = req.query.format || "csv";
+    if (!["csv", "xlsx", "json"].includes(format)) {
+      return res
+        .status(400)
+        .json({ message: "Format must be csv, xlsx or json" });
+    }
+
+    try {
+      let query = {};
+
+      // Status filter
+      if (req.query.status && req.query.status !== "all") {
+        query.status = req.query.status;
+      }
+
+      // Category filter
+      if (req.query.category && req.query.category !== "all") {
         query.category = req.query.category;
       }
 
@@ -497,64 +2489,198 @@ router.get(
         query._id = { $in: ids };
       }
 
-      const complaints = await Complaint.find(query)
-        .populate("userId", "firstName lastName email")
-        .populate("assignedTo", "firstName lastName")
-        .sort({ createdAt: -1 });
+      // Complaints are read with a cursor so large exports stay out of memory
+      // Cursors are closed when the response ends, so a download the
+      // client abandons does not keep the query open
+      const cursors = [];
+      res.on("close", () => {
+        for (const cursor of cursors) {
+          cursor.close().catch(() => {});
+        }
+      });
 
-      const format = req.query.format || "csv";
+      const complaintCursor = (filter) => {
+        const cursor = Complaint.find(filter)
+          .populate("userId", "firstName lastName email")
+          .populate("assignedTo", "firstName lastName")
+          .sort({ createdAt: -1 })
+          .cursor();
+        cursors.push(cursor);
+        return cursor;
+      };
 
-      if (format === "csv") {
-        // Generate CSV
-        const headers = [
-          "ID",
-          "Title",
-          "Description",
-          "Category",
-          "Status",
-          "Priority",
-          "Submitted By",
-          "Email",
-          "Assigned To",
-          "Created At",
-          "Updated At",
-        ];
+      const filename = `complaints-export-${Date.now()}.${format}`;
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
 
-        const rows = complaints.map((c) => [
-          c._id.toString(),
-          `"${(c.title || "").replace(/"/g, '""')}"`,
-          `"${(c.description || "").replace(/"/g, '""').replace(/\n/g, " ")}"`,
-          c.category || "",
-          c.status || "",
-          c.priority || "",
-          c.userId ? `${c.userId.firstName} ${c.userId.lastName}` : "",
-          c.userId?.email || "",
-          c.assignedTo
-            ? `${c.assignedTo.firstName} ${c.assignedTo.lastName}`
-            : "",
-          c.createdAt ? new Date(c.createdAt).toISOString() : "",
-          c.updatedAt ? new Date(c.updatedAt).toISOString() : "",
-        ]);
-
-        const csv = [headers.join(","), ...rows.map((r) => r.join(","))].join(
-          "\n"
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv");
+        await writeChunk(
+          res,
+          EXPORT_COLUMNS.map((column) => column.header).join(",")
         );
 
-        res.setHeader("Content-Type", "text/csv");
+        for await (const complaint of complaintCursor(query)) {
+          const c = redactComplaint(complaint, req.user);
+          await writeChunk(
+            res,
+            `\n${EXPORT_COLUMNS.map((column) => csvCell(column.value(c))).join(
+              ","
+            )}`
+          );
+        }
+        return res.end();
+      }
+
+      if (format === "xlsx") {
         res.setHeader(
-          "Content-Disposition",
-          `attachment; filename="complaints-export-${Date.now()}.csv"`
+          "Content-Type",
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
         );
-        return res.send(csv);
+
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+          stream: res,
+          useStyles: true,
+        });
+        const statuses = query.status
+          ? [query.status]
+          : Object.keys(COMPLAINT_STATUS_TRANSITIONS);
+
+        // One sheet per status, each written and committed in turn
+        for (const status of statuses) {
+          const sheet = workbook.addWorksheet(
+            STATUS_SHEET_NAMES[status] || status
+          );
+          sheet.columns = EXPORT_COLUMNS.map((column) => ({
+            header: column.header,
+            width: column.width,
+          }));
+          sheet.getRow(1).font = { bold: true };
+          sheet.getRow(1).commit();
+
+          for await (const complaint of complaintCursor({ ...query, status })) {
+            const c = redactComplaint(complaint, req.user);
+            sheet
+              .addRow(EXPORT_COLUMNS.map((column) => column.value(c) ?? ""))
+              .commit();
+          }
+          sheet.commit();
+        }
+
+        return await workbook.commit();
       }
 
-      // JSON format (for PDF generation on frontend)
-      res.json(complaints);
+      res.setHeader("Content-Type", "application/json");
+      let first = true;
+      await writeChunk(res, "[");
+      for await (const complaint of complaintCursor(query)) {
+        await writeChunk(
+          res,
+          `${first ? "" : ","}${JSON.stringify(
+            redactComplaint(complaint, req.user)
+          )}`
+        );
+        first = false;
+      }
+      res.end("]");
     } catch (error) {
       console.error("Export complaints error:", error);
+      // Once streaming has started the only option is to abort the download
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.removeHeader("Content-Disposition");
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   GET /api/complaints/:id/case-file
+// @desc    Download a PDF case file with history, comments, attachments and resolution
+// @access  Private (Staff/Admin)
+router.get(
+  "/:id/case-file",
+  protect,
+  authorize("staff", "admin"),
+  async (req, res) => {
+    try {
+      const complaint = await Complaint.findById(req.params.id)
+        .populate("userId", "firstName lastName email")
+        .populate("assignedTo", "firstName lastName");
+
+      if (!complaint) {
+        return res.status(404).json({ message: "Complaint not found" });
+      }
+
+      const mergedComplaints = await Complaint.find({
+        mergedInto: complaint._id,
+      })
+        .select("referenceNumber")
+        .sort({ createdAt: 1 });
+
+      const doc = new PDFDocument({ margin: 50 });
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="case-file-${
+          complaint.referenceNumber || complaint._id
+        }.pdf"`
+      );
+
+      doc.pipe(res);
+      writeCaseFile(
+        doc,
+        redactComplaint(complaint, req.user),
+        mergedComplaints
+      );
+      doc.end();
+
+      await createAuditLog(
+        req.user._id,
+        "EXPORT_COMPLAINT_CASE_FILE",
+        `Complaint #${complaint._id}`,
+        {},
+        "success",
+        req.ip
+      );
+    } catch (error) {
+      console.error("Complaint case file error:", error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
       res.status(500).json({ message: "Server error. Please try again." });
     }
   }
 );
 
+// @route   GET /api/complaints/:id
+// @desc    Get a single complaint
+// @access  Private (Complainant/Staff/Admin)
+router.get("/:id", protect, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id)
+      .select(req.user.role === "resident" ? "" : STAFF_ONLY_FIELDS)
+      .populate("userId", "firstName lastName email avatar role")
+      .populate("assignedTo", "firstName lastName");
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" });
+    }
+
+    if (!canAccessComplaint(req.user, complaint)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to view this complaint" });
+    }
+
+    res.json(redactComplaint(complaint, req.user));
+  } catch (error) {
+    console.error("Get complaint error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
 export default router;
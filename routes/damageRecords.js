@@ -0,0 +1,324 @@
+import express from "express";
+import { body, query, validationResult } from "express-validator";
+import DamageRecord from "../models/DamageRecord.js";
+import InventoryItem from "../models/InventoryItem.js";
+import ServiceRequest from "../models/ServiceRequest.js";
+import Notification from "../models/Notification.js";
+import { protect, authorize } from "../middleware/auth.js";
+import createAuditLog from "../utils/createAuditLog.js";
+import { outstandingBalance } from "../utils/borrowingPenalties.js";
+import { promoteWaitlist } from "../utils/waitlist.js";
+
+const router = express.Router();
+
+/**
+ * Plain record with its outstanding balance
+ * @param {Object} record - DamageRecord document
+ * @returns {Object} Record JSON with a balance field
+ */
+const withBalance = (record) => ({
+  ...record.toObject(),
+  balance: outstandingBalance(record),
+});
+
+// @route   GET /api/damage-records
+// @desc    Get damage/liability records (residents see their own)
+// @access  Private
+router.get(
+  "/",
+  protect,
+  [
+    query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+    query("status")
+      .optional()
+      .isIn(["open", "resolved", "waived", "all"])
+      .withMessage("Invalid status"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const filter = {};
+
+      if (req.user.role === "resident") {
+        filter.userId = req.user._id;
+      } else if (req.query.userId) {
+        filter.userId = req.query.userId;
+      }
+
+      if (req.query.status && req.query.status !== "all") {
+        filter.status = req.query.status;
+      }
+
+      const records = await DamageRecord.find(filter)
+        .populate("userId", "firstName lastName email")
+        .populate("resolvedBy", "firstName lastName")
+        .sort({ createdAt: -1 });
+
+      res.json(records.map(withBalance));
+    } catch (error) {
+      console.error("Get damage records error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   GET /api/damage-records/:id
+// @desc    Get a damage/liability record with its return report
+// @access  Private (Owner/Staff/Admin)
+router.get("/:id", protect, async (req, res) => {
+  try {
+    const record = await DamageRecord.findById(req.params.id)
+      .populate("userId", "firstName lastName email")
+      .populate("resolvedBy", "firstName lastName")
+      .populate("serviceRequest");
+
+    if (
+      !record ||
+      (req.user.role === "resident" &&
+        record.userId._id.toString() !== req.user._id.toString())
+    ) {
+      return res.status(404).json({ message: "Damage record not found" });
+    }
+
+    res.json(withBalance(record));
+  } catch (error) {
+    console.error("Get damage record error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   PUT /api/damage-records/:id
+// @desc    Set the damage charge or record a payment on an open record
+// @access  Private (Staff/Admin)
+router.put(
+  "/:id",
+  protect,
+  authorize("staff", "admin"),
+  [
+    body("damageCharge")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Damage charge cannot be negative"),
+    body("payment")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("Payment must be greater than 0"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const record = await DamageRecord.findById(req.params.id);
+
+      if (!record) {
+        return res.status(404).json({ message: "Damage record not found" });
+      }
+
+      if (record.status !== "open") {
+        return res
+          .status(409)
+          .json({ message: "Closed damage records cannot be changed" });
+      }
+
+      if (req.body.damageCharge !== undefined) {
+        record.damageCharge = parseFloat(req.body.damageCharge);
+      }
+      if (req.body.payment !== undefined) {
+        const payment = parseFloat(req.body.payment);
+        const balance = outstandingBalance(record);
+        if (payment > balance) {
+          return res.status(400).json({
+            message: `Payment cannot exceed the outstanding balance of ${balance.toFixed(
+              2
+            )}`,
+          });
+        }
+        record.amountPaid += payment;
+      }
+      await record.save();
+
+      await createAuditLog(
+        req.user._id,
+        "UPDATE_DAMAGE_RECORD",
+        `DamageRecord #${record._id}`,
+        {
+          damageCharge: req.body.damageCharge,
+          payment: req.body.payment,
+        },
+        "success",
+        req.ip
+      );
+
+      res.json(withBalance(record));
+    } catch (error) {
+      console.error("Update damage record error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   PUT /api/damage-records/:id/resolve
+// @desc    Resolve or waive a damage/liability record, settling the deposit
+// @access  Private (Staff/Admin)
+router.put(
+  "/:id/resolve",
+  protect,
+  authorize("staff", "admin"),
+  [
+    body("status")
+      .isIn(["resolved", "waived"])
+      .withMessage("Status must be resolved or waived"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Note must not exceed 500 characters"),
+    body("restock")
+      .optional()
+      .isBoolean()
+      .withMessage("restock must be a boolean")
+      .toBoolean(),
+    body("applyDeposit")
+      .optional()
+      .isBoolean()
+      .withMessage("applyDeposit must be a boolean")
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const record = await DamageRecord.findById(req.params.id);
+
+      if (!record) {
+        return res.status(404).json({ message: "Damage record not found" });
+      }
+
+      if (record.status !== "open") {
+        return res.status(409).json({
+          message: "Damage record is already closed",
+          code: "INVALID_STATUS_TRANSITION",
+          from: record.status,
+          to: req.body.status,
+        });
+      }
+
+      const service = await ServiceRequest.findById(record.serviceRequest);
+      const deposit = service?.deposit;
+
+      // Forfeit as much of the held deposit as the balance needs
+      if (req.body.applyDeposit === true && deposit?.status === "held") {
+        const forfeited = Math.min(deposit.amount, outstandingBalance(record));
+        if (forfeited > 0) {
+          record.amountPaid += forfeited;
+          deposit.status = "forfeited";
+          deposit.amountForfeited = forfeited;
+          deposit.updatedAt = new Date();
+        }
+      }
+
+      if (req.body.status === "resolved" && outstandingBalance(record) > 0) {
+        return res.status(409).json({
+          message: "Damage record still has an outstanding balance",
+          code: "OUTSTANDING_BALANCE",
+          balance: outstandingBalance(record),
+        });
+      }
+
+      // Whatever is left of the deposit goes back to the borrower
+      if (deposit?.status === "held") {
+        deposit.status = "refunded";
+        deposit.updatedAt = new Date();
+      }
+      if (service?.isModified("deposit")) {
+        await service.save();
+      }
+
+      // Repaired units go back into stock
+      if (
+        req.body.restock === true &&
+        record.quantityDamaged > 0 &&
+        record.inventoryItem
+      ) {
+        const item = await InventoryItem.findById(record.inventoryItem);
+        if (item?.kind === "Equipment") {
+          item.quantity += record.quantityDamaged;
+          await item.save();
+          record.restocked = true;
+        } else if (item) {
+          item.condition = "good";
+          await item.save();
+          record.restocked = true;
+        }
+        if (record.restocked) {
+          await promoteWaitlist(item._id);
+        }
+      }
+
+      record.status = req.body.status;
+      record.resolutionNote = req.body.note;
+      record.resolvedBy = req.user._id;
+      record.resolvedAt = new Date();
+      await record.save();
+
+      await createAuditLog(
+        req.user._id,
+        "RESOLVE_DAMAGE_RECORD",
+        `DamageRecord #${record._id}`,
+        {
+          status: record.status,
+          restocked: record.restocked,
+          deposit: deposit?.status,
+        },
+        "success",
+        req.ip
+      );
+
+      await Notification.create({
+        userId: record.userId,
+        title:
+          record.status === "waived"
+            ? "Damage Record Waived"
+            : "Damage Record Resolved",
+        message: `The damage record for "${record.itemName}" has been ${
+          record.status
+        }.${req.body.note ? ` ${req.body.note}` : ""}`,
+        type: "success",
+        relatedType: "service",
+        relatedId: record.serviceRequest,
+      });
+
+      res.json(withBalance(record));
+    } catch (error) {
+      console.error("Resolve damage record error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+export default router;
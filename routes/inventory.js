@@ -0,0 +1,632 @@
+import express from "express";
+import { body, query, validationResult } from "express-validator";
+import InventoryItem from "../models/InventoryItem.js";
+import ServiceRequest from "../models/ServiceRequest.js";
+import { protect, authorize } from "../middleware/auth.js";
+import createAuditLog from "../utils/createAuditLog.js";
+import uploadFiles from "../middleware/upload.js";
+import { processUpload, randomFileName } from "../utils/uploads.js";
+import getStorage, { sendStoredFile } from "../utils/storage/index.js";
+import { RESERVING_STATUSES, getReservedQuantity } from "../utils/inventory.js";
+import { getFacilitySchedule } from "../utils/facilityBookings.js";
+import { promoteWaitlist } from "../utils/waitlist.js";
+import {
+  scheduleNextInspection,
+  setServiceStatus,
+} from "../utils/maintenance.js";
+
+const router = express.Router();
+
+// Most photos a single catalog entry can have
+const MAX_PHOTOS_PER_ITEM = 10;
+
+// Longest range the facility calendar returns at once
+const MAX_CALENDAR_DAYS = 62;
+
+/**
+ * Validation rules shared by the create and update routes
+ * @param {boolean} isUpdate - Whether every field is optional
+ * @returns {Array} express-validator chains
+ */
+const itemValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Name is required")
+      .isLength({ max: 100 })
+      .withMessage("Name must not exceed 100 characters"),
+    field("kind")
+      .isIn(["Equipment", "Facility"])
+      .withMessage("Kind must be either Equipment or Facility"),
+    field("itemType")
+      .trim()
+      .notEmpty()
+      .withMessage("Type is required")
+      .isLength({ max: 100 })
+      .withMessage("Type must not exceed 100 characters"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Description must not exceed 1000 characters"),
+    body("quantity")
+      .optional()
+      .isInt({ min: 0, max: 100000 })
+      .withMessage("Quantity must be between 0 and 100000"),
+    body("condition")
+      .optional()
+      .isIn(["good", "fair", "poor", "damaged"])
+      .withMessage("Invalid condition"),
+    body("location")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Location must not exceed 200 characters"),
+    body("depositAmount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Deposit amount cannot be negative"),
+    body("capacity")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("Capacity must be at least 1"),
+    body("maintenanceIntervalDays")
+      .optional({ values: "null" })
+      .isInt({ min: 1, max: 3650 })
+      .withMessage("Maintenance interval must be between 1 and 3650 days"),
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be a boolean"),
+  ];
+};
+
+/**
+ * Copy the editable fields from the request body
+ * @param {Object} data - Request body
+ * @returns {Object} Inventory fields
+ */
+const pickItemFields = (data) => {
+  const fields = {};
+  for (const key of [
+    "name",
+    "kind",
+    "itemType",
+    "description",
+    "quantity",
+    "condition",
+    "location",
+    "depositAmount",
+    "capacity",
+    "maintenanceIntervalDays",
+    "isActive",
+  ]) {
+    if (data[key] !== undefined) fields[key] = data[key];
+  }
+  return fields;
+};
+
+// @route   GET /api/inventory
+// @desc    Get the equipment and facility catalog
+// @access  Private
+router.get("/", protect, async (req, res) => {
+  try {
+    const filter = {};
+
+    // Residents only see what they can request
+    if (req.user.role === "resident" || req.query.includeInactive !== "true") {
+      filter.isActive = true;
+    }
+
+    if (req.query.kind && req.query.kind !== "all") {
+      filter.kind = req.query.kind;
+    }
+
+    if (req.query.search) {
+      const searchRegex = new RegExp(req.query.search, "i");
+      filter.$or = [{ name: searchRegex }, { itemType: searchRegex }];
+    }
+
+    const items = await InventoryItem.find(filter).sort({ kind: 1, name: 1 });
+    res.json(items);
+  } catch (error) {
+    console.error("Get inventory error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   GET /api/inventory/facilities/availability
+// @desc    Get busy and free time blocks of facilities for a date range
+// @access  Private
+router.get(
+  "/facilities/availability",
+  protect,
+  [
+    query("startDate")
+      .notEmpty()
+      .withMessage("Start date is required")
+      .isISO8601()
+      .withMessage("Invalid start date format"),
+    query("endDate")
+      .notEmpty()
+      .withMessage("End date is required")
+      .isISO8601()
+      .withMessage("Invalid end date format")
+      .custom((value, { req }) => {
+        const days =
+          (new Date(value) - new Date(req.query.startDate)) /
+          (24 * 60 * 60 * 1000);
+        if (days <= 0) {
+          throw new Error("End date must be after start date");
+        }
+        if (days > MAX_CALENDAR_DAYS) {
+          throw new Error(
+            `Date range must not exceed ${MAX_CALENDAR_DAYS} days`
+          );
+        }
+        return true;
+      }),
+    query("facilityId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid facility ID"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const filter = { kind: "Facility", isActive: true };
+      if (req.query.facilityId) {
+        filter._id = req.query.facilityId;
+      }
+
+      const facilities = await InventoryItem.find(filter).sort({ name: 1 });
+      const from = new Date(req.query.startDate);
+      const to = new Date(req.query.endDate);
+      const isStaff = req.user.role !== "resident";
+
+      const calendar = [];
+      for (const facility of facilities) {
+        const schedule = await getFacilitySchedule(facility, from, to, isStaff);
+        calendar.push({
+          facility: {
+            _id: facility._id,
+            name: facility.name,
+            location: facility.location,
+            capacity: facility.capacity,
+          },
+          ...schedule,
+        });
+      }
+
+      res.json({ startDate: from, endDate: to, facilities: calendar });
+    } catch (error) {
+      console.error("Get facility availability error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   GET /api/inventory/:id
+// @desc    Get a catalog entry
+// @access  Private
+router.get("/:id", protect, async (req, res) => {
+  try {
+    const item = await InventoryItem.findById(req.params.id);
+
+    if (!item || (!item.isActive && req.user.role === "resident")) {
+      return res.status(404).json({ message: "Inventory item not found" });
+    }
+
+    res.json(item);
+  } catch (error) {
+    console.error("Get inventory item error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   GET /api/inventory/:id/availability
+// @desc    Get how many units are free for a date range
+// @access  Private
+router.get(
+  "/:id/availability",
+  protect,
+  [
+    query("startDate")
+      .notEmpty()
+      .withMessage("Start date is required")
+      .isISO8601()
+      .withMessage("Invalid start date format"),
+    query("endDate")
+      .notEmpty()
+      .withMessage("End date is required")
+      .isISO8601()
+      .withMessage("Invalid end date format"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const item = await InventoryItem.findById(req.params.id);
+
+      if (!item || (!item.isActive && req.user.role === "resident")) {
+        return res.status(404).json({ message: "Inventory item not found" });
+      }
+
+      const reserved = await getReservedQuantity(
+        item,
+        req.query.startDate,
+        req.query.endDate
+      );
+
+      res.json({
+        item: item._id,
+        quantity: item.quantity,
+        reserved,
+        available: Math.max(0, item.quantity - reserved),
+      });
+    } catch (error) {
+      console.error("Get item availability error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   POST /api/inventory
+// @desc    Add a catalog entry
+// @access  Private (Staff/Admin)
+router.post(
+  "/",
+  protect,
+  authorize("staff", "admin"),
+  itemValidation(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const fields = pickItemFields(req.body);
+      if (fields.kind === "Facility") {
+        fields.quantity = 1;
+      }
+
+      const item = await InventoryItem.create(fields);
+      await scheduleNextInspection(item, new Date(), req.user._id);
+
+      await createAuditLog(
+        req.user._id,
+        "CREATE_INVENTORY_ITEM",
+        `Inventory #${item._id}`,
+        { name: item.name },
+        "success",
+        req.ip
+      );
+
+      res.status(201).json(item);
+    } catch (error) {
+      console.error("Create inventory item error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   PUT /api/inventory/:id
+// @desc    Update a catalog entry
+// @access  Private (Staff/Admin)
+router.put(
+  "/:id",
+  protect,
+  authorize("staff", "admin"),
+  itemValidation(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const item = await InventoryItem.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({ message: "Inventory item not found" });
+      }
+
+      // Requests for the item were checked as one kind; switching would
+      // apply the wrong availability rules to them
+      if (
+        req.body.kind &&
+        req.body.kind !== item.kind &&
+        (await ServiceRequest.exists({ inventoryItem: item._id }))
+      ) {
+        return res.status(409).json({
+          message:
+            "Inventory item has service requests, so its kind cannot be changed. Add a new entry instead.",
+        });
+      }
+
+      item.set(pickItemFields(req.body));
+      if (item.kind === "Facility") {
+        item.quantity = 1;
+      }
+      await item.save();
+      await scheduleNextInspection(item, new Date(), req.user._id);
+
+      // Added stock may let queued residents in
+      await promoteWaitlist(item._id);
+
+      await createAuditLog(
+        req.user._id,
+        "UPDATE_INVENTORY_ITEM",
+        `Inventory #${item._id}`,
+        { name: item.name },
+        "success",
+        req.ip
+      );
+
+      res.json(item);
+    } catch (error) {
+      console.error("Update inventory item error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   DELETE /api/inventory/:id
+// @desc    Delete an unused catalog entry
+// @access  Private (Staff/Admin)
+router.delete(
+  "/:id",
+  protect,
+  authorize("staff", "admin"),
+  async (req, res) => {
+    try {
+      const item = await InventoryItem.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({ message: "Inventory item not found" });
+      }
+
+      if (await ServiceRequest.exists({ inventoryItem: item._id })) {
+        return res.status(409).json({
+          message:
+            "Inventory item has service requests. Deactivate it instead.",
+        });
+      }
+
+      const storage = getStorage();
+      for (const photo of item.photos) {
+        await storage.remove(photo.key);
+      }
+
+      await item.deleteOne();
+      await createAuditLog(
+        req.user._id,
+        "DELETE_INVENTORY_ITEM",
+        `Inventory #${item._id}`,
+        { name: item.name },
+        "success",
+        req.ip
+      );
+
+      res.json({ message: "Inventory item removed" });
+    } catch (error) {
+      console.error("Delete inventory item error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   PUT /api/inventory/:id/service-status
+// @desc    Take an item out of service or put it back
+// @access  Private (Staff/Admin)
+router.put(
+  "/:id/service-status",
+  protect,
+  authorize("staff", "admin"),
+  [
+    body("outOfService")
+      .isBoolean()
+      .withMessage("outOfService must be a boolean"),
+    body("reason")
+      .if(body("outOfService").equals("true"))
+      .trim()
+      .notEmpty()
+      .withMessage("A reason is required when taking an item out of service")
+      .isLength({ max: 500 })
+      .withMessage("Reason must not exceed 500 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const item = await InventoryItem.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({ message: "Inventory item not found" });
+      }
+
+      const outOfService =
+        req.body.outOfService === true || req.body.outOfService === "true";
+      await setServiceStatus(item, outOfService, req.body.reason);
+
+      await createAuditLog(
+        req.user._id,
+        outOfService ? "ITEM_OUT_OF_SERVICE" : "ITEM_BACK_IN_SERVICE",
+        `Inventory #${item._id}`,
+        { name: item.name, reason: req.body.reason },
+        "success",
+        req.ip
+      );
+
+      // Bookings already approved are not cancelled; staff follow them up
+      const affectedRequests = outOfService
+        ? await ServiceRequest.find({
+            inventoryItem: item._id,
+            status: { $in: RESERVING_STATUSES },
+            expectedReturnDate: { $gte: new Date() },
+          })
+            .select("userId status borrowDate expectedReturnDate quantity")
+            .populate("userId", "firstName lastName email phoneNumber")
+            .sort({ borrowDate: 1 })
+        : [];
+
+      res.json({ item, affectedRequests });
+    } catch (error) {
+      console.error("Update service status error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   POST /api/inventory/:id/photos
+// @desc    Upload photos of a catalog entry (multipart field "photos")
+// @access  Private (Staff/Admin)
+router.post(
+  "/:id/photos",
+  protect,
+  authorize("staff", "admin"),
+  uploadFiles("photos"),
+  async (req, res) => {
+    try {
+      const item = await InventoryItem.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({ message: "Inventory item not found" });
+      }
+
+      const files = req.files || [];
+      const rejected = [...(req.rejectedFiles || [])];
+
+      if (item.photos.length + files.length > MAX_PHOTOS_PER_ITEM) {
+        return res.status(400).json({
+          message: `An inventory item can have at most ${MAX_PHOTOS_PER_ITEM} photos`,
+        });
+      }
+
+      const storage = getStorage();
+      const added = [];
+
+      for (const file of files) {
+        const processed = processUpload(file);
+        if (!processed || !processed.mimeType.startsWith("image/")) {
+          rejected.push(file.originalname);
+          continue;
+        }
+
+        const key = `inventory/${item._id}/${randomFileName(
+          processed.extension
+        )}`;
+        await storage.save(key, processed.buffer);
+
+        item.photos.push({
+          key,
+          originalName: file.originalname,
+          mimeType: processed.mimeType,
+          size: processed.buffer.length,
+        });
+        added.push(item.photos[item.photos.length - 1]);
+      }
+
+      if (added.length === 0) {
+        return res.status(400).json({
+          message: "No valid photos uploaded. Allowed types: JPEG, PNG, WebP",
+          rejected,
+        });
+      }
+
+      await item.save();
+      res.status(201).json({ photos: added, rejected });
+    } catch (error) {
+      console.error("Upload inventory photos error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   GET /api/inventory/:id/photos/:photoId
+// @desc    View a catalog photo
+// @access  Public
+router.get("/:id/photos/:photoId", async (req, res) => {
+  try {
+    const item = await InventoryItem.findById(req.params.id);
+    const photo = item?.photos.id(req.params.photoId);
+
+    if (!photo) {
+      return res.status(404).json({ message: "Photo not found" });
+    }
+
+    await sendStoredFile(res, photo);
+  } catch (error) {
+    console.error("Get inventory photo error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   DELETE /api/inventory/:id/photos/:photoId
+// @desc    Remove a catalog photo
+// @access  Private (Staff/Admin)
+router.delete(
+  "/:id/photos/:photoId",
+  protect,
+  authorize("staff", "admin"),
+  async (req, res) => {
+    try {
+      const item = await InventoryItem.findById(req.params.id);
+      const photo = item?.photos.id(req.params.photoId);
+
+      if (!photo) {
+        return res.status(404).json({ message: "Photo not found" });
+      }
+
+      await getStorage().remove(photo.key);
+      photo.deleteOne();
+      await item.save();
+
+      res.json({ message: "Photo removed" });
+    } catch (error) {
+      console.error("Delete inventory photo error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,321 @@
+import express from "express";
+import { body, query, validationResult } from "express-validator";
+import MaintenanceRecord from "../models/MaintenanceRecord.js";
+import InventoryItem from "../models/InventoryItem.js";
+import { protect, authorize } from "../middleware/auth.js";
+import createAuditLog from "../utils/createAuditLog.js";
+import {
+  MAINTENANCE_CONFIG,
+  scheduleNextInspection,
+  setServiceStatus,
+} from "../utils/maintenance.js";
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validation rules shared by the create and update routes
+ * @returns {Array} express-validator chains
+ */
+const recordValidation = () => [
+  body("scheduledFor")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid scheduled date format"),
+  body("completedAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid completion date format"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Notes must not exceed 2000 characters"),
+  body("cost")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Cost cannot be negative"),
+  body("conditionAfter")
+    .optional()
+    .isIn(["good", "fair", "poor", "damaged"])
+    .withMessage("Invalid condition"),
+  body("returnToService")
+    .optional()
+    .isBoolean()
+    .withMessage("returnToService must be a boolean")
+    .toBoolean(),
+];
+
+/**
+ * Mark a maintenance record done and carry the result over to the item:
+ * its condition, the next routine inspection and, if asked, putting it
+ * back in service
+ * @param {Object} record - MaintenanceRecord document
+ * @param {Object} item - InventoryItem document
+ * @param {Object} data - Request body
+ * @param {Object} user - Staff member who did or logged the work
+ */
+const completeRecord = async (record, item, data, user) => {
+  record.status = "completed";
+  record.completedAt = data.completedAt || new Date();
+  record.performedBy = user._id;
+  await record.save();
+
+  if (record.conditionAfter) {
+    item.condition = record.conditionAfter;
+  }
+
+  if (data.returnToService === true && item.outOfService) {
+    await setServiceStatus(item, false);
+  } else {
+    await item.save();
+  }
+
+  if (record.type === "inspection") {
+    await scheduleNextInspection(item, record.completedAt, user._id);
+  }
+};
+
+// @route   GET /api/maintenance
+// @desc    Get maintenance records; due=true lists scheduled work coming up or overdue
+// @access  Private (Staff/Admin)
+router.get(
+  "/",
+  protect,
+  authorize("staff", "admin"),
+  [
+    query("inventoryItem")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid inventory item ID"),
+    query("type")
+      .optional()
+      .isIn(["inspection", "repair", "all"])
+      .withMessage("Invalid maintenance type"),
+    query("status")
+      .optional()
+      .isIn(["scheduled", "completed", "cancelled", "all"])
+      .withMessage("Invalid status"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const filter = {};
+
+      if (req.query.inventoryItem) {
+        filter.inventoryItem = req.query.inventoryItem;
+      }
+      if (req.query.type && req.query.type !== "all") {
+        filter.type = req.query.type;
+      }
+      if (req.query.status && req.query.status !== "all") {
+        filter.status = req.query.status;
+      }
+
+      if (req.query.due === "true") {
+        filter.status = "scheduled";
+        filter.scheduledFor = {
+          $lte: new Date(Date.now() + MAINTENANCE_CONFIG.noticeDays * DAY_MS),
+        };
+      }
+
+      const records = await MaintenanceRecord.find(filter)
+        .populate("performedBy", "firstName lastName")
+        .populate("createdBy", "firstName lastName")
+        .sort(
+          filter.status === "scheduled"
+            ? { scheduledFor: 1 }
+            : { completedAt: -1, createdAt: -1 }
+        );
+
+      res.json(records);
+    } catch (error) {
+      console.error("Get maintenance records error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   POST /api/maintenance
+// @desc    Schedule an inspection or repair, or log one already done (status "completed")
+// @access  Private (Staff/Admin)
+router.post(
+  "/",
+  protect,
+  authorize("staff", "admin"),
+  [
+    body("inventoryItem")
+      .notEmpty()
+      .withMessage("Inventory item is required")
+      .isMongoId()
+      .withMessage("Invalid inventory item"),
+    body("type")
+      .isIn(["inspection", "repair"])
+      .withMessage("Type must be either inspection or repair"),
+    body("status")
+      .optional()
+      .isIn(["scheduled", "completed"])
+      .withMessage("Status must be either scheduled or completed"),
+    body("scheduledFor")
+      .if(body("status").not().equals("completed"))
+      .notEmpty()
+      .withMessage("Scheduled date is required"),
+    ...recordValidation(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const item = await InventoryItem.findById(req.body.inventoryItem);
+
+      if (!item) {
+        return res.status(404).json({ message: "Inventory item not found" });
+      }
+
+      const record = new MaintenanceRecord({
+        inventoryItem: item._id,
+        itemName: item.name,
+        type: req.body.type,
+        scheduledFor: req.body.scheduledFor,
+        notes: req.body.notes,
+        cost: req.body.cost,
+        conditionAfter: req.body.conditionAfter,
+        createdBy: req.user._id,
+      });
+
+      if (req.body.status === "completed") {
+        await completeRecord(record, item, req.body, req.user);
+      } else {
+        await record.save();
+      }
+
+      await createAuditLog(
+        req.user._id,
+        req.body.status === "completed"
+          ? "LOG_MAINTENANCE"
+          : "SCHEDULE_MAINTENANCE",
+        `Maintenance #${record._id}`,
+        { inventoryItem: item._id, type: record.type },
+        "success",
+        req.ip
+      );
+
+      res.status(201).json(record);
+    } catch (error) {
+      console.error("Create maintenance record error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   PUT /api/maintenance/:id
+// @desc    Update, reschedule, complete or cancel a maintenance record
+// @access  Private (Staff/Admin)
+router.put(
+  "/:id",
+  protect,
+  authorize("staff", "admin"),
+  [
+    body("status")
+      .optional()
+      .isIn(["completed", "cancelled"])
+      .withMessage("Status must be either completed or cancelled"),
+    ...recordValidation(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const record = await MaintenanceRecord.findById(req.params.id);
+
+      if (!record) {
+        return res
+          .status(404)
+          .json({ message: "Maintenance record not found" });
+      }
+
+      if (record.status !== "scheduled" && req.body.status) {
+        return res.status(409).json({
+          message: `Maintenance record is already ${record.status}`,
+          code: "INVALID_STATUS_TRANSITION",
+          from: record.status,
+          to: req.body.status,
+        });
+      }
+
+      for (const key of ["notes", "cost", "conditionAfter"]) {
+        if (req.body[key] !== undefined) record[key] = req.body[key];
+      }
+
+      // Rescheduled work gets fresh reminders
+      if (req.body.scheduledFor && record.status === "scheduled") {
+        record.scheduledFor = req.body.scheduledFor;
+        record.dueNotifiedAt = undefined;
+        record.overdueNotifiedAt = undefined;
+      }
+
+      if (req.body.status === "completed") {
+        const item = await InventoryItem.findById(record.inventoryItem);
+        if (!item) {
+          return res.status(404).json({ message: "Inventory item not found" });
+        }
+        await completeRecord(record, item, req.body, req.user);
+      } else {
+        if (req.body.status === "cancelled") {
+          record.status = "cancelled";
+        }
+        await record.save();
+
+        // Skipping a routine inspection must not end the cycle
+        if (req.body.status === "cancelled" && record.type === "inspection") {
+          const item = await InventoryItem.findById(record.inventoryItem);
+          if (item) {
+            await scheduleNextInspection(item, new Date(), req.user._id);
+          }
+        }
+      }
+
+      await createAuditLog(
+        req.user._id,
+        "UPDATE_MAINTENANCE",
+        `Maintenance #${record._id}`,
+        { status: req.body.status, scheduledFor: req.body.scheduledFor },
+        "success",
+        req.ip
+      );
+
+      res.json(record);
+    } catch (error) {
+      console.error("Update maintenance record error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+export default router;
@@ -1,13 +1,33 @@
 import express from "express";
+import { body, validationResult } from "express-validator";
 import Event from "../models/Event.js";
 import Announcement from "../models/Announcement.js";
 import NewsItem from "../models/NewsItem.js";
 import Official from "../models/Official.js";
 import SiteSettings from "../models/SiteSettings.js";
+import Complaint from "../models/Complaint.js";
 import cacheMiddleware from "../middleware/cache.js";
+import { publicTimeline } from "../utils/complaintPrivacy.js";
 
 const router = express.Router();
 
+/**
+ * Reduce a Philippine mobile number to its local 09XXXXXXXXX form, so
+ * "+63 917 123 4567", "639171234567" and "09171234567" compare equal
+ * @param {string} value - Phone number as typed or stored
+ * @returns {string} Normalized digits, or "" if there are none
+ */
+const normalizePhone = (value = "") => {
+  const digits = String(value).replace(/\D/g, "");
+  if (digits.startsWith("63") && digits.length === 12) {
+    return `0${digits.slice(2)}`;
+  }
+  if (digits.startsWith("9") && digits.length === 10) {
+    return `0${digits}`;
+  }
+  return digits;
+};
+
 // @route   GET /api/public/events
 // @desc    Get all events (public)
 // @access  Public
@@ -96,4 +116,67 @@ router.get("/settings", async (req, res) => {
   }
 });
 
+// @route   POST /api/public/complaints/track
+// @desc    Track a complaint by reference number plus reporter email or phone
+// @access  Public
+router.post(
+  "/complaints/track",
+  [
+    body("referenceNumber")
+      .notEmpty()
+      .withMessage("Reference number is required")
+      .trim()
+      .toUpperCase(),
+    body("contact")
+      .notEmpty()
+      .withMessage("Email or phone number is required")
+      .trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const complaint = await Complaint.findOne({
+        referenceNumber: req.body.referenceNumber,
+      }).populate("userId", "email phoneNumber");
+
+      const contact = req.body.contact.toLowerCase();
+      const phone = contact.includes("@") ? "" : normalizePhone(contact);
+      const matches =
+        complaint?.userId &&
+        (complaint.userId.email === contact ||
+          (phone !== "" &&
+            normalizePhone(complaint.userId.phoneNumber) === phone));
+
+      // Same response for unknown references and wrong contacts
+      if (!matches) {
+        return res.status(404).json({
+          message:
+            "No complaint found with that reference number and contact details",
+        });
+      }
+
+      res.json({
+        referenceNumber: complaint.referenceNumber,
+        title: complaint.title,
+        category: complaint.category,
+        status: complaint.status,
+        createdAt: complaint.createdAt,
+        updatedAt: complaint.updatedAt,
+        timeline: publicTimeline(complaint),
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
 export default router;
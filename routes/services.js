@@ -1,168 +1,1667 @@
 import express from "express";
-import { body, validationResult } from "express-validator";
+import jwt from "jsonwebtoken";
+import PDFDocument from "pdfkit";
+import { body, query, validationResult } from "express-validator";
 import ServiceRequest from "../models/ServiceRequest.js";
+import InventoryItem from "../models/InventoryItem.js";
 import Notification from "../models/Notification.js";
+import DamageRecord from "../models/DamageRecord.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import ReservationSeries from "../models/ReservationSeries.js";
 import { protect, authorize, residentOnly } from "../middleware/auth.js";
 import createAuditLog from "../utils/createAuditLog.js";
 import { notifyAdminsAndStaff } from "../utils/createNotification.js";
+import uploadFiles from "../middleware/upload.js";
+import { processUpload, randomFileName } from "../utils/uploads.js";
+import getStorage, { sendStoredFile } from "../utils/storage/index.js";
+import checkAvailability, { outOfServiceError } from "../utils/availability.js";
+import { WAITLIST_REQUEST_FIELDS, promoteWaitlist } from "../utils/waitlist.js";
+import {
+  addStrike,
+  computeLateFee,
+  countLateDays,
+  getBorrowingBlocks,
+} from "../utils/borrowingPenalties.js";
+import { expandRecurrence } from "../utils/recurrence.js";
+import {
+  applyApproval,
+  approvalStageError,
+  notifyStageApprovers,
+  rejectApproval,
+} from "../utils/approvalChains.js";
+import {
+  signClaimToken,
+  writeClaimSlip,
+  writeReturnReceipt,
+} from "../utils/serviceSlips.js";
+import { bookingInterval } from "../utils/facilityBookings.js";
 
 const router = express.Router();
 
+// Cancellation configuration
+const CANCELLATION_CONFIG = {
+  // Approved requests cancelled less than this many hours before they
+  // start are flagged to staff
+  cutoffHours: parseInt(process.env.SERVICE_CANCELLATION_CUTOFF_HOURS) || 24,
+};
+
+// Fields a resident may change on a pending or approved request
+const AMENDABLE_FIELDS = [
+  "borrowDate",
+  "expectedReturnDate",
+  "startTime",
+  "endTime",
+  "timeSlot",
+  "numberOfPeople",
+];
+
+/**
+ * Make sure the item is still free before a request is approved
+ * @param {Object} service - The service request document
+ * @returns {Promise<Object|null>} 409 error payload, or null if available
+ */
+const checkStock = async (service) => {
+  if (!service.inventoryItem) return null;
+
+  const item = await InventoryItem.findById(service.inventoryItem);
+  if (!item) return null;
+
+  return checkAvailability(item, service, service._id);
+};
+
+/**
+ * Mark a pending deposit as collected when the item is handed over
+ * @param {Object} service - The service request document
+ */
+const collectDeposit = (service) => {
+  if (service.deposit?.status === "pending") {
+    service.deposit.status = "held";
+    service.deposit.updatedAt = new Date();
+  }
+};
+
+/**
+ * Why staff may not set a request's status by hand, if they may not.
+ * Cancelled and returned requests are closed, a borrowed request only
+ * leaves through the return check-in, and only an approved request can be
+ * handed over.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {string|null} Error message, or null if the change is allowed
+ */
+const statusChangeError = (from, to) => {
+  if (["cancelled", "returned"].includes(from)) {
+    return `A ${from} request can no longer be changed`;
+  }
+  if (from === "borrowed") {
+    return "A borrowed request can only be closed with POST /api/services/:id/return";
+  }
+  if (to === "borrowed" && from !== "approved") {
+    return `A ${from} request cannot be marked as borrowed`;
+  }
+  return null;
+};
+
 // @route   GET /api/services
 // @desc    Get all service requests (filtered by role) with optional pagination
 // @access  Private
-router.get("/", protect, async (req, res) => {
-  try {
-    let query = {};
+router.get(
+  "/",
+  protect,
+  [
+    query("series")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid reservation series ID"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
 
-    // Residents can only see their own requests
-    if (req.user.role === "resident") {
-      query.userId = req.user._id;
+    try {
+      let query = {};
+
+      // Residents can only see their own requests
+      if (req.user.role === "resident") {
+        query.userId = req.user._id;
+      }
+
+      // Status filter
+      if (req.query.status && req.query.status !== "all") {
+        query.status = req.query.status;
+      }
+
+      // Request type filter (Equipment/Facility)
+      if (req.query.type && req.query.type !== "all") {
+        query.requestType = req.query.type;
+      }
+
+      // Occurrences of a recurring reservation
+      if (req.query.series) {
+        query.series = req.query.series;
+      }
+
+      // Search filter (itemName or purpose)
+      if (req.query.search) {
+        const searchRegex = new RegExp(req.query.search, "i");
+        query.$or = [{ itemName: searchRegex }, { purpose: searchRegex }];
+      }
+
+      // Date range filter
+      if (req.query.startDate || req.query.endDate) {
+        query.createdAt = {};
+        if (req.query.startDate) {
+          query.createdAt.$gte = new Date(req.query.startDate);
+        }
+        if (req.query.endDate) {
+          query.createdAt.$lte = new Date(req.query.endDate);
+        }
+      }
+
+      // Check if pagination is requested
+      const page = parseInt(req.query.page) || 0;
+      const limit = parseInt(req.query.limit) || 0;
+
+      if (page > 0 && limit > 0) {
+        // Server-side pagination
+        const skip = (page - 1) * limit;
+        const totalItems = await ServiceRequest.countDocuments(query);
+        const totalPages = Math.ceil(totalItems / limit);
+
+        const services = await ServiceRequest.find(query)
+          .populate("userId", "firstName lastName email avatar role")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit);
+
+        return res.json({
+          data: services,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems,
+            pageSize: limit,
+            hasNext: page < totalPages,
+            hasPrev: page > 1,
+          },
+        });
+      }
+
+      // No pagination - return all results (backward compatible)
+      const services = await ServiceRequest.find(query)
+        .populate("userId", "firstName lastName email avatar role")
+        .sort({ createdAt: -1 });
+
+      res.json(services);
+    } catch (error) {
+      console.error("Get services error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+/**
+ * Add the item's refundable deposit to new request fields
+ * @param {Object} serviceData - Service request fields
+ * @param {Object} item - InventoryItem document
+ */
+const addDeposit = (serviceData, item) => {
+  const amount = (item.depositAmount || 0) * serviceData.quantity;
+  if (amount > 0) {
+    serviceData.deposit = { amount, status: "pending" };
+  }
+};
+
+/**
+ * Error payload for a resident who may not borrow right now
+ * @param {Array<Object>} reasons - Blocks from getBorrowingBlocks
+ * @returns {Object} 403 error payload
+ */
+const borrowingSuspended = (reasons) => ({
+  message:
+    "Your borrowing privileges are suspended until staff clear your account",
+  code: "BORROWING_SUSPENDED",
+  reasons,
+});
+
+// Validation rules shared by new requests and waitlist entries
+const serviceRequestValidation = [
+  body("inventoryItem")
+    .notEmpty()
+    .withMessage("Inventory item is required")
+    .isMongoId()
+    .withMessage("Invalid inventory item ID format"),
+  body("requestType")
+    .optional()
+    .isIn(["Equipment", "Facility"])
+    .withMessage("Request type must be either Equipment or Facility"),
+  body("quantity")
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage("Quantity must be between 1 and 10000"),
+  body("borrowDate")
+    .if(body("startTime").not().exists())
+    .notEmpty()
+    .withMessage("Start date is required")
+    .isISO8601()
+    .withMessage("Invalid start date format")
+    .custom((value) => {
+      const borrowDate = new Date(value);
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      if (borrowDate < today) {
+        throw new Error("Start date cannot be in the past");
+      }
+      return true;
+    }),
+  body("expectedReturnDate")
+    .if(body("startTime").not().exists())
+    .notEmpty()
+    .withMessage("End date is required")
+    .isISO8601()
+    .withMessage("Invalid end date format")
+    .custom((value, { req }) => {
+      const returnDate = new Date(value);
+      const borrowDate = new Date(req.body.borrowDate);
+      if (returnDate < borrowDate) {
+        throw new Error("End date must be on or after start date");
+      }
+      return true;
+    }),
+  body("startTime")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid start time format")
+    .custom((value) => {
+      if (new Date(value) < new Date()) {
+        throw new Error("Start time cannot be in the past");
+      }
+      return true;
+    }),
+  body("endTime")
+    .if(body("startTime").exists())
+    .notEmpty()
+    .withMessage("End time is required")
+    .isISO8601()
+    .withMessage("Invalid end time format")
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.startTime)) {
+        throw new Error("End time must be after start time");
+      }
+      return true;
+    }),
+  body("purpose")
+    .notEmpty()
+    .withMessage("Purpose is required")
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage("Purpose must be between 10 and 500 characters"),
+  body("timeSlot")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Time slot must not exceed 100 characters"),
+  body("numberOfPeople")
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage("Number of people must be between 1 and 10000"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes must not exceed 500 characters"),
+];
+
+/**
+ * Audit and announce a stage sign-off that still leaves later stages
+ * @param {Object} service - The service request document
+ * @param {Object} approval - Result of applyApproval
+ * @param {Object} req - Express request (approver and IP)
+ */
+const recordStageApproval = async (service, approval, req) => {
+  await createAuditLog(
+    req.user._id,
+    "APPROVE_SERVICE_STAGE",
+    `Service #${service._id}`,
+    { stage: approval.stage.name, next: approval.next.name },
+    "success",
+    req.ip
+  );
+
+  await Notification.create({
+    userId: service.userId,
+    title: "Approval Stage Completed",
+    message: `Your ${service.requestType.toLowerCase()} request "${
+      service.itemName
+    }" passed "${approval.stage.name}" and is now awaiting "${
+      approval.next.name
+    }".`,
+    type: "info",
+    relatedType: "service",
+    relatedId: service._id,
+  });
+
+  await notifyStageApprovers(service, approval.next);
+};
+
+/**
+ * Turn a validated request body into service request fields, copying the
+ * item details from the catalog. Availability is left to the caller.
+ * @param {Object} data - Request body
+ * @param {Object} user - Requesting resident
+ * @returns {Promise<Object>} { item, serviceData } or { error } message
+ */
+const buildServiceData = async (data, user) => {
+  const item = await InventoryItem.findById(data.inventoryItem);
+
+  if (!item || !item.isActive) {
+    return { error: "Requested item is not in the catalog" };
+  }
+
+  if (data.requestType && data.requestType !== item.kind) {
+    return {
+      error: `"${
+        item.name
+      }" is a ${item.kind.toLowerCase()}, not a ${data.requestType.toLowerCase()}`,
+    };
+  }
+
+  if (
+    item.kind === "Facility" &&
+    item.capacity &&
+    data.numberOfPeople > item.capacity
+  ) {
+    return {
+      error: `${item.name} can hold at most ${item.capacity} people`,
+    };
+  }
+
+  // Facilities are booked by the hour, equipment by the day
+  if (item.kind === "Facility" && !data.startTime) {
+    return { error: "Facility bookings need a start time and end time" };
+  }
+  if (item.kind === "Equipment" && !data.borrowDate) {
+    return { error: "Equipment requests need a start date and end date" };
+  }
+
+  const serviceData = {
+    userId: user._id,
+    requestType: item.kind,
+    inventoryItem: item._id,
+    quantity: item.kind === "Facility" ? 1 : parseInt(data.quantity) || 1,
+    itemName: item.name,
+    itemType: item.itemType,
+    purpose: data.purpose,
+    notes: data.notes,
+  };
+
+  if (item.kind === "Facility") {
+    serviceData.startTime = new Date(data.startTime);
+    serviceData.endTime = new Date(data.endTime);
+    serviceData.borrowDate = serviceData.startTime;
+    serviceData.expectedReturnDate = serviceData.endTime;
+    if (data.timeSlot) {
+      serviceData.timeSlot = data.timeSlot;
+    }
+    if (data.numberOfPeople) {
+      serviceData.numberOfPeople = data.numberOfPeople;
+    }
+  } else {
+    serviceData.borrowDate = data.borrowDate;
+    serviceData.expectedReturnDate = data.expectedReturnDate;
+  }
+
+  return { item, serviceData };
+};
+
+// @route   POST /api/services
+// @desc    Create a new service request
+// @access  Private (Residents only)
+router.post(
+  "/",
+  protect,
+  residentOnly,
+  serviceRequestValidation,
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const blocks = await getBorrowingBlocks(req.user);
+      if (blocks.length > 0) {
+        return res.status(403).json(borrowingSuspended(blocks));
+      }
+
+      const { error, item, serviceData } = await buildServiceData(
+        req.body,
+        req.user
+      );
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const unavailable = await checkAvailability(item, serviceData);
+      if (unavailable) {
+        return res.status(409).json(unavailable);
+      }
+
+      addDeposit(serviceData, item);
+      const service = await ServiceRequest.create(serviceData);
+
+      const populatedService = await ServiceRequest.findById(
+        service._id
+      ).populate("userId", "firstName lastName email avatar role");
+
+      await createAuditLog(
+        req.user._id,
+        "CREATE_SERVICE_REQUEST",
+        `Service #${service._id}`,
+        "success",
+        req.ip
+      );
+
+      // Notify all admins and staff about new service request
+      await notifyAdminsAndStaff(
+        "New Service Request",
+        `${req.user.firstName} ${req.user.lastName} submitted a new ${
+          item.kind
+        } request: "${item.name}"${
+          serviceData.quantity > 1 ? ` (x${serviceData.quantity})` : ""
+        }`,
+        "info"
+      );
+
+      res.status(201).json(populatedService);
+    } catch (error) {
+      console.error("Create service error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
     }
+  }
+);
 
-    // Status filter
-    if (req.query.status && req.query.status !== "all") {
-      query.status = req.query.status;
+// @route   GET /api/services/waitlist
+// @desc    Get waitlist entries (residents see their own) with queue positions
+// @access  Private
+router.get(
+  "/waitlist",
+  protect,
+  [
+    query("inventoryItem")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid inventory item ID"),
+    query("status")
+      .optional()
+      .isIn(["waiting", "offered", "claimed", "expired", "cancelled", "all"])
+      .withMessage("Invalid status"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
     }
 
-    // Request type filter (Equipment/Facility)
-    if (req.query.type && req.query.type !== "all") {
-      query.requestType = req.query.type;
+    try {
+      const filter = {};
+
+      if (req.user.role === "resident") {
+        filter.userId = req.user._id;
+      } else if (req.query.inventoryItem) {
+        filter.inventoryItem = req.query.inventoryItem;
+      }
+
+      filter.status =
+        req.query.status && req.query.status !== "all"
+          ? req.query.status
+          : { $in: ["waiting", "offered"] };
+
+      const entries = await WaitlistEntry.find(filter)
+        .populate("userId", "firstName lastName email")
+        .sort({ createdAt: 1 });
+
+      const result = [];
+      for (const entry of entries) {
+        const position =
+          entry.status === "waiting"
+            ? (await WaitlistEntry.countDocuments({
+                inventoryItem: entry.inventoryItem,
+                status: "waiting",
+                createdAt: { $lt: entry.createdAt },
+              })) + 1
+            : null;
+        result.push({ ...entry.toObject(), position });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error("Get waitlist error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
     }
+  }
+);
 
-    // Search filter (itemName or purpose)
-    if (req.query.search) {
-      const searchRegex = new RegExp(req.query.search, "i");
-      query.$or = [{ itemName: searchRegex }, { purpose: searchRegex }];
+// @route   POST /api/services/waitlist
+// @desc    Join the waitlist for an item or time slot that is fully booked
+// @access  Private (Residents only)
+router.post(
+  "/waitlist",
+  protect,
+  residentOnly,
+  serviceRequestValidation,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
     }
 
-    // Date range filter
-    if (req.query.startDate || req.query.endDate) {
-      query.createdAt = {};
-      if (req.query.startDate) {
-        query.createdAt.$gte = new Date(req.query.startDate);
+    try {
+      const blocks = await getBorrowingBlocks(req.user);
+      if (blocks.length > 0) {
+        return res.status(403).json(borrowingSuspended(blocks));
+      }
+
+      const { error, item, serviceData } = await buildServiceData(
+        req.body,
+        req.user
+      );
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const unavailable = await checkAvailability(item, serviceData);
+      if (!unavailable) {
+        return res.status(409).json({
+          message: `"${item.name}" is available for those dates. Submit a request instead.`,
+          code: "AVAILABLE",
+        });
       }
-      if (req.query.endDate) {
-        query.createdAt.$lte = new Date(req.query.endDate);
+      if (unavailable.code === "OUT_OF_SERVICE") {
+        return res.status(409).json(unavailable);
+      }
+
+      const duplicate = await WaitlistEntry.exists({
+        userId: req.user._id,
+        inventoryItem: item._id,
+        status: { $in: ["waiting", "offered"] },
+        borrowDate: serviceData.borrowDate,
+        expectedReturnDate: serviceData.expectedReturnDate,
+      });
+      if (duplicate) {
+        return res.status(409).json({
+          message: "You are already on the waitlist for those dates",
+        });
       }
+
+      const entry = await WaitlistEntry.create(serviceData);
+      const position = await WaitlistEntry.countDocuments({
+        inventoryItem: item._id,
+        status: "waiting",
+        createdAt: { $lte: entry.createdAt },
+      });
+
+      await createAuditLog(
+        req.user._id,
+        "JOIN_WAITLIST",
+        `Waitlist #${entry._id}`,
+        { inventoryItem: item._id },
+        "success",
+        req.ip
+      );
+
+      res.status(201).json({ ...entry.toObject(), position });
+    } catch (error) {
+      console.error("Join waitlist error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
     }
+  }
+);
 
-    // Check if pagination is requested
-    const page = parseInt(req.query.page) || 0;
-    const limit = parseInt(req.query.limit) || 0;
+// @route   POST /api/services/waitlist/:id/claim
+// @desc    Claim a waitlist offer, turning it into a service request
+// @access  Private (Residents only)
+router.post("/waitlist/:id/claim", protect, residentOnly, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
 
-    if (page > 0 && limit > 0) {
-      // Server-side pagination
-      const skip = (page - 1) * limit;
-      const totalItems = await ServiceRequest.countDocuments(query);
-      const totalPages = Math.ceil(totalItems / limit);
+    if (!entry || entry.userId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: "Waitlist entry not found" });
+    }
 
-      const services = await ServiceRequest.find(query)
-        .populate("userId", "firstName lastName email avatar role")
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit);
-
-      return res.json({
-        data: services,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalItems,
-          pageSize: limit,
-          hasNext: page < totalPages,
-          hasPrev: page > 1,
-        },
+    if (entry.status !== "offered") {
+      return res.status(409).json({
+        message: "This waitlist entry has no offer to claim",
+        code: "INVALID_STATUS_TRANSITION",
+        from: entry.status,
+        to: "claimed",
       });
     }
 
-    // No pagination - return all results (backward compatible)
-    const services = await ServiceRequest.find(query)
-      .populate("userId", "firstName lastName email avatar role")
-      .sort({ createdAt: -1 });
+    if (entry.claimExpiresAt < new Date()) {
+      entry.status = "expired";
+      await entry.save();
+      await promoteWaitlist(entry.inventoryItem);
+      return res
+        .status(409)
+        .json({ message: "The claim window for this offer has passed" });
+    }
+
+    const blocks = await getBorrowingBlocks(req.user);
+    if (blocks.length > 0) {
+      return res.status(403).json(borrowingSuspended(blocks));
+    }
+
+    const item = await InventoryItem.findById(entry.inventoryItem);
+    if (!item || !item.isActive) {
+      return res
+        .status(400)
+        .json({ message: "Requested item is not in the catalog" });
+    }
+
+    const serviceData = {};
+    for (const field of WAITLIST_REQUEST_FIELDS) {
+      if (entry[field] !== undefined) serviceData[field] = entry[field];
+    }
+
+    // Someone else got there first; keep the resident's place in line
+    const unavailable = await checkAvailability(
+      item,
+      serviceData,
+      null,
+      entry._id
+    );
+    if (unavailable) {
+      entry.status = "waiting";
+      entry.offeredAt = undefined;
+      entry.claimExpiresAt = undefined;
+      await entry.save();
+      return res.status(409).json(unavailable);
+    }
+
+    addDeposit(serviceData, item);
+    const service = await ServiceRequest.create(serviceData);
 
-    res.json(services);
+    entry.status = "claimed";
+    entry.serviceRequest = service._id;
+    await entry.save();
+
+    await createAuditLog(
+      req.user._id,
+      "CLAIM_WAITLIST_OFFER",
+      `Service #${service._id}`,
+      { waitlistEntry: entry._id },
+      "success",
+      req.ip
+    );
+
+    await notifyAdminsAndStaff(
+      "New Service Request",
+      `${req.user.firstName} ${req.user.lastName} claimed a waitlist spot for "${item.name}"`,
+      "info"
+    );
+
+    const populatedService = await ServiceRequest.findById(
+      service._id
+    ).populate("userId", "firstName lastName email avatar role");
+
+    res.status(201).json(populatedService);
   } catch (error) {
-    console.error("Get services error:", error);
+    console.error("Claim waitlist error:", error);
     res.status(500).json({ message: "Server error. Please try again." });
   }
 });
 
-// @route   POST /api/services
-// @desc    Create a new service request
-// @access  Private (Residents only)
+// @route   DELETE /api/services/waitlist/:id
+// @desc    Leave the waitlist or decline an offer
+// @access  Private (Owner/Staff/Admin)
+router.delete("/waitlist/:id", protect, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (
+      !entry ||
+      (req.user.role === "resident" &&
+        entry.userId.toString() !== req.user._id.toString())
+    ) {
+      return res.status(404).json({ message: "Waitlist entry not found" });
+    }
+
+    if (!["waiting", "offered"].includes(entry.status)) {
+      return res
+        .status(409)
+        .json({ message: "This waitlist entry is no longer active" });
+    }
+
+    const wasOffered = entry.status === "offered";
+    entry.status = "cancelled";
+    await entry.save();
+
+    // A declined offer goes to the next person in line
+    if (wasOffered) {
+      await promoteWaitlist(entry.inventoryItem);
+    }
+
+    await createAuditLog(
+      req.user._id,
+      "LEAVE_WAITLIST",
+      `Waitlist #${entry._id}`,
+      {},
+      "success",
+      req.ip
+    );
+
+    res.json({ message: "Removed from the waitlist" });
+  } catch (error) {
+    console.error("Leave waitlist error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+/**
+ * Whether a user may view or cancel a recurring reservation
+ * @param {Object} user - Requesting user
+ * @param {Object} series - ReservationSeries document
+ * @returns {boolean} True for the owner and for staff/admin
+ */
+const canAccessSeries = (user, series) =>
+  user.role !== "resident" || series.userId.toString() === user._id.toString();
+
+/**
+ * Mark a recurring reservation cancelled once none of its occurrences
+ * are left
+ * @param {Object} seriesId - ReservationSeries ID
+ */
+const closeSeriesIfEmpty = async (seriesId) => {
+  const remaining = await ServiceRequest.exists({
+    series: seriesId,
+    status: { $ne: "cancelled" },
+  });
+  if (!remaining) {
+    await ReservationSeries.updateOne(
+      { _id: seriesId },
+      { status: "cancelled" }
+    );
+  }
+};
+
+// @route   POST /api/services/recurring
+// @desc    Book a facility on a weekly or monthly schedule
+// @access  Private (Residents only)
+router.post(
+  "/recurring",
+  protect,
+  residentOnly,
+  [
+    ...serviceRequestValidation,
+    body("startTime").notEmpty().withMessage("Start time is required"),
+    body("recurrence.frequency")
+      .isIn(["weekly", "monthly"])
+      .withMessage("Frequency must be weekly or monthly"),
+    body("recurrence.interval")
+      .optional()
+      .isInt({ min: 1, max: 12 })
+      .withMessage("Interval must be between 1 and 12"),
+    body("recurrence.until")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid end date format")
+      .custom((value, { req }) => {
+        if (new Date(value) < new Date(req.body.startTime)) {
+          throw new Error("End date must be after the first occurrence");
+        }
+        return true;
+      }),
+    body("recurrence.count")
+      .optional()
+      .isInt({ min: 2 })
+      .withMessage("Occurrence count must be at least 2"),
+    body("recurrence").custom((value) => {
+      if (!value?.until === !value?.count) {
+        throw new Error("Set either an end date or an occurrence count");
+      }
+      return true;
+    }),
+    body("skipConflicts")
+      .optional()
+      .isBoolean()
+      .withMessage("skipConflicts must be a boolean"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const blocks = await getBorrowingBlocks(req.user);
+      if (blocks.length > 0) {
+        return res.status(403).json(borrowingSuspended(blocks));
+      }
+
+      const { error, item, serviceData } = await buildServiceData(
+        req.body,
+        req.user
+      );
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      if (item.kind !== "Facility") {
+        return res
+          .status(400)
+          .json({ message: "Only facilities can be booked on a schedule" });
+      }
+
+      const { occurrences, error: recurrenceError } = expandRecurrence(
+        serviceData.startTime,
+        serviceData.endTime,
+        req.body.recurrence
+      );
+      if (recurrenceError) {
+        return res.status(400).json({ message: recurrenceError });
+      }
+
+      const outOfService = outOfServiceError(item);
+      if (outOfService) {
+        return res.status(409).json(outOfService);
+      }
+
+      // Check every occurrence on its own
+      const free = [];
+      const conflicts = [];
+      for (const occurrence of occurrences) {
+        const unavailable = await checkAvailability(item, occurrence);
+        if (unavailable) {
+          conflicts.push({ ...occurrence, conflicts: unavailable.conflicts });
+        } else {
+          free.push(occurrence);
+        }
+      }
+
+      if (conflicts.length > 0 && req.body.skipConflicts !== true) {
+        return res.status(409).json({
+          message: `${conflicts.length} of ${occurrences.length} occurrences conflict with existing bookings`,
+          code: "BOOKING_CONFLICT",
+          occurrences: conflicts,
+        });
+      }
+
+      if (free.length === 0) {
+        return res.status(409).json({
+          message: "Every occurrence conflicts with existing bookings",
+        });
+      }
+
+      const series = await ReservationSeries.create({
+        userId: req.user._id,
+        inventoryItem: item._id,
+        itemName: item.name,
+        recurrence: {
+          frequency: req.body.recurrence.frequency,
+          interval: parseInt(req.body.recurrence.interval) || 1,
+          until: req.body.recurrence.until,
+          count: req.body.recurrence.count,
+        },
+        startTime: serviceData.startTime,
+        endTime: serviceData.endTime,
+        purpose: serviceData.purpose,
+      });
+
+      const requests = await ServiceRequest.insertMany(
+        free.map((occurrence) => {
+          const occurrenceData = {
+            ...serviceData,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            borrowDate: occurrence.startTime,
+            expectedReturnDate: occurrence.endTime,
+            series: series._id,
+          };
+          addDeposit(occurrenceData, item);
+          return occurrenceData;
+        })
+      );
+
+      await createAuditLog(
+        req.user._id,
+        "CREATE_RESERVATION_SERIES",
+        `Series #${series._id}`,
+        { occurrences: requests.length, skipped: conflicts.length },
+        "success",
+        req.ip
+      );
+
+      await notifyAdminsAndStaff(
+        "New Recurring Reservation",
+        `${req.user.firstName} ${req.user.lastName} requested "${item.name}" ${series.recurrence.frequency} for ${requests.length} occurrences`,
+        "info"
+      );
+
+      res
+        .status(201)
+        .json({ series, occurrences: requests, skipped: conflicts });
+    } catch (error) {
+      console.error("Create series error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   GET /api/services/series/:id
+// @desc    Get a recurring reservation with its occurrences
+// @access  Private (Owner/Staff/Admin)
+router.get("/series/:id", protect, async (req, res) => {
+  try {
+    const series = await ReservationSeries.findById(req.params.id);
+
+    if (!series || !canAccessSeries(req.user, series)) {
+      return res.status(404).json({ message: "Reservation series not found" });
+    }
+
+    await series.populate("userId", "firstName lastName email");
+
+    const occurrences = await ServiceRequest.find({ series: series._id }).sort({
+      borrowDate: 1,
+    });
+
+    res.json({ series, occurrences });
+  } catch (error) {
+    console.error("Get series error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   PUT /api/services/series/:id/status
+// @desc    Approve or reject every upcoming occurrence of a series at once
+// @access  Private (Staff/Admin)
+router.put(
+  "/series/:id/status",
+  protect,
+  authorize("staff", "admin"),
+  [
+    body("status")
+      .isIn(["approved", "rejected"])
+      .withMessage("Status must be approved or rejected"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Note must not exceed 500 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const series = await ReservationSeries.findById(req.params.id);
+
+      if (!series) {
+        return res
+          .status(404)
+          .json({ message: "Reservation series not found" });
+      }
+
+      if (series.status !== "pending") {
+        return res.status(409).json({
+          message: `Series is already ${series.status}`,
+          code: "INVALID_STATUS_TRANSITION",
+          from: series.status,
+          to: req.body.status,
+        });
+      }
+
+      if (req.body.status === "rejected" && !req.body.note) {
+        return res.status(400).json({
+          message: "Rejection reason is required when rejecting a request",
+        });
+      }
+
+      const occurrences = await ServiceRequest.find({
+        series: series._id,
+        status: "pending",
+        startTime: { $gt: new Date() },
+      }).sort({ borrowDate: 1 });
+
+      // Check the approver against every occurrence before signing any, so
+      // a refusal part-way through cannot leave the series half-signed
+      if (req.body.status === "approved") {
+        for (const occurrence of occurrences) {
+          const approvalError = await approvalStageError(occurrence, req.user);
+          if (approvalError) {
+            return res.status(403).json({
+              message: approvalError,
+              code: "APPROVAL_STAGE_FORBIDDEN",
+            });
+          }
+        }
+      }
+
+      // Occurrences that clash with a booking made since stay pending
+      // so staff can handle them one by one
+      const conflicts = [];
+      let updated = 0;
+      let nextStage = null;
+      for (const occurrence of occurrences) {
+        if (req.body.status === "approved") {
+          const stockError = await checkStock(occurrence);
+          if (stockError) {
+            conflicts.push({
+              _id: occurrence._id,
+              startTime: occurrence.startTime,
+              endTime: occurrence.endTime,
+              conflicts: stockError.conflicts,
+            });
+            continue;
+          }
+
+          // Every occurrence shares the series' chain, so they move together
+          const approval = await applyApproval(
+            occurrence,
+            req.user,
+            req.body.note
+          );
+          if (approval.error) {
+            return res.status(403).json({
+              message: approval.error,
+              code: "APPROVAL_STAGE_FORBIDDEN",
+            });
+          }
+          if (!approval.complete) {
+            await occurrence.save();
+            nextStage = approval.next;
+            updated++;
+            continue;
+          }
+          occurrence.approvalNote = req.body.note;
+          occurrence.approvedBy = req.user._id;
+          occurrence.approvedAt = new Date();
+        } else {
+          occurrence.rejectionReason = req.body.note;
+          rejectApproval(occurrence, req.user, req.body.note);
+        }
+        occurrence.status = req.body.status;
+        await occurrence.save();
+        updated++;
+      }
+
+      // The series stays pending until its last approval stage, and while
+      // occurrences that clashed are still waiting for a decision
+      if (!nextStage && conflicts.length === 0) {
+        series.status = req.body.status;
+        if (req.body.status === "approved") {
+          series.approvalNote = req.body.note;
+        } else {
+          series.rejectionReason = req.body.note;
+        }
+        await series.save();
+      }
+
+      if (series.status === "rejected") {
+        await promoteWaitlist(series.inventoryItem);
+      }
+
+      await createAuditLog(
+        req.user._id,
+        nextStage ? "APPROVE_SERIES_STAGE" : "UPDATE_SERIES_STATUS",
+        `Series #${series._id}`,
+        { status: series.status, updated, conflicts: conflicts.length },
+        "success",
+        req.ip
+      );
+
+      await Notification.create({
+        userId: series.userId,
+        title: "Recurring Reservation Updated",
+        message: `Your recurring reservation for "${series.itemName}" ${
+          nextStage
+            ? `passed a review stage and is now awaiting "${nextStage.name}"`
+            : series.status === "pending"
+            ? "has been partly approved"
+            : `has been ${series.status}`
+        } (${updated} occurrence(s)).${
+          conflicts.length > 0
+            ? ` ${conflicts.length} occurrence(s) clash with other bookings and are still under review.`
+            : ""
+        }${req.body.note ? ` ${req.body.note}` : ""}`,
+        type:
+          nextStage || series.status === "pending"
+            ? "info"
+            : series.status === "approved"
+            ? "success"
+            : "error",
+        relatedType: "service",
+        relatedId: occurrences[0]?._id,
+      });
+
+      if (nextStage) {
+        const first = occurrences.find((occurrence) => occurrence.approval);
+        await notifyStageApprovers(first, nextStage);
+      }
+
+      res.json({ series, updated, conflicts });
+    } catch (error) {
+      console.error("Update series status error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   DELETE /api/services/series/:id/occurrences/:occurrenceId
+// @desc    Cancel a single upcoming occurrence of a series
+// @access  Private (Owner/Staff/Admin)
+router.delete(
+  "/series/:id/occurrences/:occurrenceId",
+  protect,
+  async (req, res) => {
+    try {
+      const series = await ReservationSeries.findById(req.params.id);
+
+      if (!series || !canAccessSeries(req.user, series)) {
+        return res
+          .status(404)
+          .json({ message: "Reservation series not found" });
+      }
+
+      const occurrence = await ServiceRequest.findOne({
+        _id: req.params.occurrenceId,
+        series: series._id,
+      });
+
+      if (!occurrence) {
+        return res.status(404).json({ message: "Occurrence not found" });
+      }
+
+      if (
+        !["pending", "approved"].includes(occurrence.status) ||
+        occurrence.startTime <= new Date()
+      ) {
+        return res.status(409).json({
+          message:
+            "Only upcoming pending or approved occurrences can be cancelled",
+          code: "INVALID_STATUS_TRANSITION",
+          from: occurrence.status,
+          to: "cancelled",
+        });
+      }
+
+      occurrence.status = "cancelled";
+      occurrence.cancelledAt = new Date();
+      await occurrence.save();
+      await closeSeriesIfEmpty(series._id);
+
+      await promoteWaitlist(series.inventoryItem);
+
+      await createAuditLog(
+        req.user._id,
+        "CANCEL_SERIES_OCCURRENCE",
+        `Service #${occurrence._id}`,
+        { series: series._id },
+        "success",
+        req.ip
+      );
+
+      const when = occurrence.startTime.toLocaleString();
+      if (req.user.role === "resident") {
+        await notifyAdminsAndStaff(
+          "Reservation Occurrence Cancelled",
+          `${req.user.firstName} ${req.user.lastName} cancelled the ${when} booking of "${series.itemName}"`,
+          "info"
+        );
+      } else {
+        await Notification.create({
+          userId: series.userId,
+          title: "Reservation Occurrence Cancelled",
+          message: `The ${when} booking of "${series.itemName}" from your recurring reservation has been cancelled.`,
+          type: "warning",
+          relatedType: "service",
+          relatedId: occurrence._id,
+        });
+      }
+
+      res.json(occurrence);
+    } catch (error) {
+      console.error("Cancel occurrence error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   DELETE /api/services/series/:id
+// @desc    Cancel every upcoming occurrence of a series
+// @access  Private (Owner/Staff/Admin)
+router.delete("/series/:id", protect, async (req, res) => {
+  try {
+    const series = await ReservationSeries.findById(req.params.id);
+
+    if (!series || !canAccessSeries(req.user, series)) {
+      return res.status(404).json({ message: "Reservation series not found" });
+    }
+
+    if (!["pending", "approved"].includes(series.status)) {
+      return res.status(409).json({
+        message: `A ${series.status} series can no longer be cancelled`,
+        code: "INVALID_STATUS_TRANSITION",
+        from: series.status,
+        to: "cancelled",
+      });
+    }
+
+    const result = await ServiceRequest.updateMany(
+      {
+        series: series._id,
+        status: { $in: ["pending", "approved"] },
+        startTime: { $gt: new Date() },
+      },
+      { status: "cancelled", cancelledAt: new Date() }
+    );
+
+    series.status = "cancelled";
+    await series.save();
+
+    await promoteWaitlist(series.inventoryItem);
+
+    await createAuditLog(
+      req.user._id,
+      "CANCEL_RESERVATION_SERIES",
+      `Series #${series._id}`,
+      { cancelled: result.modifiedCount },
+      "success",
+      req.ip
+    );
+
+    if (req.user.role === "resident") {
+      await notifyAdminsAndStaff(
+        "Recurring Reservation Cancelled",
+        `${req.user.firstName} ${req.user.lastName} cancelled their recurring reservation of "${series.itemName}"`,
+        "info"
+      );
+    } else {
+      await Notification.create({
+        userId: series.userId,
+        title: "Recurring Reservation Cancelled",
+        message: `Your recurring reservation for "${series.itemName}" has been cancelled.`,
+        type: "warning",
+        relatedType: "service",
+      });
+    }
+
+    res.json({ series, cancelled: result.modifiedCount });
+  } catch (error) {
+    console.error("Cancel series error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   PUT /api/services/:id/status
+// @desc    Update service request status
+// @access  Private (Staff/Admin)
+router.put(
+  "/:id/status",
+  protect,
+  authorize("staff", "admin"),
+  [
+    body("status")
+      .notEmpty()
+      .withMessage("Status is required")
+      .not()
+      .equals("returned")
+      .withMessage(
+        "Returned items must be checked in with POST /api/services/:id/return"
+      )
+      .bail()
+      .isIn(["pending", "approved", "borrowed", "rejected"])
+      .withMessage("Invalid status"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Note must not exceed 500 characters"),
+  ],
+  async (req, res) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const service = await ServiceRequest.findById(req.params.id);
+
+      if (!service) {
+        return res.status(404).json({ message: "Service request not found" });
+      }
+
+      const transitionError = statusChangeError(
+        service.status,
+        req.body.status
+      );
+      if (transitionError) {
+        return res.status(409).json({
+          message: transitionError,
+          code: "INVALID_STATUS_TRANSITION",
+          from: service.status,
+          to: req.body.status,
+        });
+      }
+
+      if (req.body.status === "approved" && service.status !== "approved") {
+        const stockError = await checkStock(service);
+        if (stockError) {
+          return res.status(409).json(stockError);
+        }
+
+        const approval = await applyApproval(service, req.user, req.body.note);
+        if (approval.error) {
+          return res.status(403).json({
+            message: approval.error,
+            code: "APPROVAL_STAGE_FORBIDDEN",
+          });
+        }
+
+        // Later stages still have to sign off; the status stays as it is
+        if (!approval.complete) {
+          await service.save();
+          await recordStageApproval(service, approval, req);
+          return res.json(service);
+        }
+      }
+
+      const oldStatus = service.status;
+      service.status = req.body.status;
+
+      if (req.body.status === "rejected") {
+        if (!req.body.note) {
+          return res.status(400).json({
+            message: "Rejection reason is required when rejecting a request",
+          });
+        }
+        service.rejectionReason = req.body.note;
+        rejectApproval(service, req.user, req.body.note);
+      } else if (req.body.status === "approved") {
+        service.approvalNote = req.body.note;
+        service.approvedBy = req.user._id;
+        service.approvedAt = new Date();
+      } else if (req.body.status === "borrowed") {
+        collectDeposit(service);
+      }
+
+      await service.save();
+
+      // Rejected requests free their dates for the waitlist
+      if (req.body.status === "rejected" && service.inventoryItem) {
+        await promoteWaitlist(service.inventoryItem);
+      }
+
+      await createAuditLog(
+        req.user._id,
+        "UPDATE_SERVICE_STATUS",
+        `Service #${service._id}`,
+        "success",
+        req.ip
+      );
+
+      // Create notification for the service request owner
+      if (service.userId.toString() !== req.user._id.toString()) {
+        const statusMessages = {
+          pending: "Your service request is pending review",
+          approved: "Your service request has been approved",
+          borrowed: "Your service request is now active",
+          rejected: "Your service request has been rejected",
+        };
+
+        await Notification.create({
+          userId: service.userId,
+          title: "Service Request Status Updated",
+          message: `Your ${service.requestType.toLowerCase()} request "${
+            service.itemName
+          }" status changed from ${oldStatus} to ${req.body.status}. ${
+            req.body.note ? req.body.note : statusMessages[req.body.status]
+          }`,
+          type:
+            req.body.status === "approved"
+              ? "success"
+              : req.body.status === "rejected"
+              ? "error"
+              : "info",
+          relatedType: "service",
+          relatedId: service._id,
+        });
+      }
+
+      res.json(service);
+    } catch (error) {
+      console.error("Update service status error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   PUT /api/services/:id
+// @desc    Amend the dates, time slot or number of people of a pending or approved request
+// @access  Private (Owner, residents only)
+router.put("/:id", protect, residentOnly, async (req, res) => {
+  try {
+    const service = await ServiceRequest.findById(req.params.id);
+
+    if (!service || service.userId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: "Service request not found" });
+    }
+
+    if (!["pending", "approved"].includes(service.status)) {
+      return res.status(409).json({
+        message: `A ${service.status} request can no longer be changed`,
+        code: "INVALID_STATUS_TRANSITION",
+        from: service.status,
+        to: "pending",
+      });
+    }
+
+    const blocks = await getBorrowingBlocks(req.user);
+    if (blocks.length > 0) {
+      return res.status(403).json(borrowingSuspended(blocks));
+    }
+
+    // Equipment is borrowed by the day and facilities are booked by the
+    // hour; time slots and head counts only apply to facilities
+    const isFacility = service.requestType === "Facility";
+    const inapplicable = (
+      isFacility
+        ? ["borrowDate", "expectedReturnDate"]
+        : ["startTime", "endTime", "timeSlot", "numberOfPeople"]
+    ).filter((field) => req.body[field] !== undefined);
+    if (inapplicable.length > 0) {
+      return res.status(400).json({
+        message: `${inapplicable.join(
+          ", "
+        )} cannot be set on a ${service.requestType.toLowerCase()} request`,
+      });
+    }
+
+    const changes = {};
+    for (const field of AMENDABLE_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        message: `Nothing to amend. Send any of: ${AMENDABLE_FIELDS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    // Validate the amended request as a whole, the same way as a new one
+    req.body = {
+      inventoryItem: service.inventoryItem?.toString(),
+      requestType: service.requestType,
+      quantity: service.quantity,
+      purpose: service.purpose,
+      notes: service.notes,
+      timeSlot: service.timeSlot,
+      numberOfPeople: service.numberOfPeople,
+      ...(isFacility
+        ? {
+            startTime: service.startTime?.toISOString(),
+            endTime: service.endTime?.toISOString(),
+          }
+        : {
+            borrowDate: service.borrowDate.toISOString(),
+            expectedReturnDate: service.expectedReturnDate.toISOString(),
+          }),
+      ...changes,
+    };
+    await Promise.all(serviceRequestValidation.map((chain) => chain.run(req)));
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const { error, item, serviceData } = await buildServiceData(
+      req.body,
+      req.user
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const before = {
+      status: service.status,
+      borrowDate: service.borrowDate,
+      expectedReturnDate: service.expectedReturnDate,
+      startTime: service.startTime,
+      endTime: service.endTime,
+      timeSlot: service.timeSlot,
+      numberOfPeople: service.numberOfPeople,
+    };
+
+    service.set({
+      borrowDate: serviceData.borrowDate,
+      expectedReturnDate: serviceData.expectedReturnDate,
+      startTime: serviceData.startTime,
+      endTime: serviceData.endTime,
+      timeSlot: serviceData.timeSlot,
+      numberOfPeople: serviceData.numberOfPeople,
+    });
+
+    // Sending the current values again changes nothing and keeps the review
+    if (!AMENDABLE_FIELDS.some((field) => service.isModified(field))) {
+      const unchanged = await ServiceRequest.findById(service._id).populate(
+        "userId",
+        "firstName lastName email avatar role"
+      );
+      return res.json(unchanged);
+    }
+
+    const unavailable = await checkAvailability(item, serviceData, service._id);
+    if (unavailable) {
+      return res.status(409).json(unavailable);
+    }
+
+    // The amended request goes back through the whole approval chain
+    service.status = "pending";
+    service.approval = undefined;
+    service.approvalNote = undefined;
+    service.approvedBy = undefined;
+    service.approvedAt = undefined;
+    service.claimSlip = undefined;
+    await service.save();
+
+    // Approved requests held their old dates; let the waitlist have them
+    if (before.status === "approved") {
+      await promoteWaitlist(service.inventoryItem);
+    }
+
+    await createAuditLog(
+      req.user._id,
+      "AMEND_SERVICE_REQUEST",
+      `Service #${service._id}`,
+      { before, changes },
+      "success",
+      req.ip
+    );
+
+    await notifyAdminsAndStaff(
+      "Service Request Amended",
+      `${req.user.firstName} ${req.user.lastName} changed their ${
+        before.status
+      } ${service.requestType.toLowerCase()} request "${
+        service.itemName
+      }". It needs to be reviewed again.`,
+      "info"
+    );
+
+    const populatedService = await ServiceRequest.findById(
+      service._id
+    ).populate("userId", "firstName lastName email avatar role");
+
+    res.json(populatedService);
+  } catch (error) {
+    console.error("Amend service error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   POST /api/services/:id/cancel
+// @desc    Withdraw a pending or approved request
+// @access  Private (Owner, residents only)
 router.post(
-  "/",
+  "/:id/cancel",
   protect,
   residentOnly,
   [
-    body("requestType")
-      .notEmpty()
-      .withMessage("Request type is required")
-      .isIn(["Equipment", "Facility"])
-      .withMessage("Request type must be either Equipment or Facility"),
-    body("itemName")
-      .notEmpty()
-      .withMessage("Item/Facility name is required")
-      .trim()
-      .isLength({ min: 2, max: 100 })
-      .withMessage("Name must be between 2 and 100 characters"),
-    body("itemType")
-      .notEmpty()
-      .withMessage("Type is required")
-      .trim()
-      .isLength({ min: 2, max: 100 })
-      .withMessage("Type must be between 2 and 100 characters"),
-    body("borrowDate")
-      .notEmpty()
-      .withMessage("Start date is required")
-      .isISO8601()
-      .withMessage("Invalid start date format")
-      .custom((value) => {
-        const borrowDate = new Date(value);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        if (borrowDate < today) {
-          throw new Error("Start date cannot be in the past");
-        }
-        return true;
-      }),
-    body("expectedReturnDate")
-      .notEmpty()
-      .withMessage("End date is required")
-      .isISO8601()
-      .withMessage("Invalid end date format")
-      .custom((value, { req }) => {
-        const returnDate = new Date(value);
-        const borrowDate = new Date(req.body.borrowDate);
-        if (returnDate < borrowDate) {
-          throw new Error("End date must be on or after start date");
-        }
-        return true;
-      }),
-    body("purpose")
-      .notEmpty()
-      .withMessage("Purpose is required")
-      .trim()
-      .isLength({ min: 10, max: 500 })
-      .withMessage("Purpose must be between 10 and 500 characters"),
-    body("timeSlot")
-      .optional()
-      .trim()
-      .isLength({ max: 100 })
-      .withMessage("Time slot must not exceed 100 characters"),
-    body("numberOfPeople")
-      .optional()
-      .isInt({ min: 1, max: 10000 })
-      .withMessage("Number of people must be between 1 and 10000"),
-    body("notes")
+    body("reason")
       .optional()
       .trim()
       .isLength({ max: 500 })
-      .withMessage("Notes must not exceed 500 characters"),
+      .withMessage("Reason must not exceed 500 characters"),
   ],
   async (req, res) => {
-    // Validate request
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -174,77 +1673,117 @@ router.post(
     }
 
     try {
-      const serviceData = {
-        userId: req.user._id,
-        requestType: req.body.requestType,
-        itemName: req.body.itemName,
-        itemType: req.body.itemType,
-        borrowDate: req.body.borrowDate,
-        expectedReturnDate: req.body.expectedReturnDate,
-        purpose: req.body.purpose,
-        notes: req.body.notes,
-      };
+      const service = await ServiceRequest.findById(req.params.id);
 
-      // Add facility-specific fields if request type is Facility
-      if (req.body.requestType === "Facility") {
-        if (req.body.timeSlot) {
-          serviceData.timeSlot = req.body.timeSlot;
-        }
-        if (req.body.numberOfPeople) {
-          serviceData.numberOfPeople = req.body.numberOfPeople;
-        }
+      if (!service || service.userId.toString() !== req.user._id.toString()) {
+        return res.status(404).json({ message: "Service request not found" });
       }
 
-      const service = await ServiceRequest.create(serviceData);
+      if (!["pending", "approved"].includes(service.status)) {
+        return res.status(409).json({
+          message: `A ${service.status} request cannot be cancelled`,
+          code: "INVALID_STATUS_TRANSITION",
+          from: service.status,
+          to: "cancelled",
+        });
+      }
 
-      const populatedService = await ServiceRequest.findById(
-        service._id
-      ).populate("userId", "firstName lastName email avatar role");
+      const oldStatus = service.status;
+      const hoursToStart =
+        (bookingInterval(service).start.getTime() - Date.now()) /
+        (60 * 60 * 1000);
+      const isLate =
+        oldStatus === "approved" &&
+        hoursToStart < CANCELLATION_CONFIG.cutoffHours;
+
+      service.status = "cancelled";
+      service.cancelledAt = new Date();
+      service.cancellationReason = req.body.reason;
+      await service.save();
+
+      if (service.series) {
+        await closeSeriesIfEmpty(service.series);
+      }
+
+      if (oldStatus === "approved" && service.inventoryItem) {
+        await promoteWaitlist(service.inventoryItem);
+      }
 
       await createAuditLog(
         req.user._id,
-        "CREATE_SERVICE_REQUEST",
+        "CANCEL_SERVICE_REQUEST",
         `Service #${service._id}`,
+        {
+          from: oldStatus,
+          reason: req.body.reason,
+          lateCancellation: isLate,
+        },
         "success",
         req.ip
       );
 
-      // Notify all admins and staff about new service request
-      await notifyAdminsAndStaff(
-        "New Service Request",
-        `${req.user.firstName} ${req.user.lastName} submitted a new ${req.body.requestType} request: "${req.body.itemName}"`,
-        "info"
-      );
+      // Staff may already have set things aside for an approved booking
+      if (isLate) {
+        await notifyAdminsAndStaff(
+          "⚠️ Late Cancellation",
+          `${req.user.firstName} ${
+            req.user.lastName
+          } cancelled their approved ${service.requestType.toLowerCase()} request "${
+            service.itemName
+          }" starting ${bookingInterval(service).start.toLocaleString()}${
+            req.body.reason ? `: ${req.body.reason}` : ""
+          }`,
+          "warning"
+        );
+      }
 
-      res.status(201).json(populatedService);
+      res.json(service);
     } catch (error) {
-      console.error("Create service error:", error);
+      console.error("Cancel service error:", error);
       res.status(500).json({ message: "Server error. Please try again." });
     }
   }
 );
 
-// @route   PUT /api/services/:id/status
-// @desc    Update service request status
+// @route   POST /api/services/:id/return
+// @desc    Check in a returned item with a condition report (multipart field "photos")
 // @access  Private (Staff/Admin)
-router.put(
-  "/:id/status",
+router.post(
+  "/:id/return",
   protect,
   authorize("staff", "admin"),
+  uploadFiles("photos"),
   [
-    body("status")
+    body("condition")
       .notEmpty()
-      .withMessage("Status is required")
-      .isIn(["pending", "approved", "borrowed", "returned", "rejected"])
-      .withMessage("Invalid status"),
-    body("note")
+      .withMessage("Condition is required")
+      .isIn(["good", "damaged", "missing_parts"])
+      .withMessage("Condition must be good, damaged or missing_parts"),
+    body("returnedAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid return time format")
+      .custom((value) => {
+        if (new Date(value) > new Date()) {
+          throw new Error("Return time cannot be in the future");
+        }
+        return true;
+      }),
+    body("quantityReturned")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Quantity returned must be a whole number"),
+    body("quantityDamaged")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Quantity damaged must be at least 1"),
+    body("notes")
       .optional()
       .trim()
-      .isLength({ max: 500 })
-      .withMessage("Note must not exceed 500 characters"),
+      .isLength({ max: 1000 })
+      .withMessage("Notes must not exceed 1000 characters"),
   ],
   async (req, res) => {
-    // Validate request
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -255,6 +1794,8 @@ router.put(
       });
     }
 
+    const savedKeys = [];
+
     try {
       const service = await ServiceRequest.findById(req.params.id);
 
@@ -262,66 +1803,426 @@ router.put(
         return res.status(404).json({ message: "Service request not found" });
       }
 
-      const oldStatus = service.status;
-      service.status = req.body.status;
+      if (service.status !== "borrowed") {
+        return res.status(409).json({
+          message: "Only borrowed items can be checked in",
+          code: "INVALID_STATUS_TRANSITION",
+          from: service.status,
+          to: "returned",
+        });
+      }
 
-      if (req.body.status === "rejected") {
-        if (!req.body.note) {
-          return res.status(400).json({
-            message: "Rejection reason is required when rejecting a request",
-          });
+      const quantityReturned =
+        req.body.quantityReturned !== undefined
+          ? parseInt(req.body.quantityReturned)
+          : service.quantity;
+
+      if (quantityReturned > service.quantity) {
+        return res.status(400).json({
+          message: `Only ${service.quantity} unit(s) were borrowed`,
+        });
+      }
+
+      const { condition } = req.body;
+      const quantityDamaged =
+        condition === "good"
+          ? 0
+          : parseInt(req.body.quantityDamaged) || quantityReturned;
+
+      if (quantityDamaged > quantityReturned) {
+        return res.status(400).json({
+          message: "Quantity damaged cannot exceed the quantity returned",
+        });
+      }
+
+      const quantityMissing = service.quantity - quantityReturned;
+
+      const storage = getStorage();
+      const photos = [];
+      const rejected = [...(req.rejectedFiles || [])];
+
+      for (const file of req.files || []) {
+        const processed = processUpload(file);
+        if (!processed || !processed.mimeType.startsWith("image/")) {
+          rejected.push(file.originalname);
+          continue;
         }
-        service.rejectionReason = req.body.note;
-      } else if (req.body.status === "approved") {
-        service.approvalNote = req.body.note;
+
+        const key = `services/${service._id}/return/${randomFileName(
+          processed.extension
+        )}`;
+        await storage.save(key, processed.buffer);
+        savedKeys.push(key);
+
+        photos.push({
+          key,
+          originalName: file.originalname,
+          mimeType: processed.mimeType,
+          size: processed.buffer.length,
+        });
+      }
+
+      const returnedAt = req.body.returnedAt
+        ? new Date(req.body.returnedAt)
+        : new Date();
+      const lateDays = countLateDays(service, returnedAt);
+
+      const issues = [];
+      if (lateDays > 0) {
+        issues.push(`a ${lateDays}-day late return`);
+      }
+      if (quantityMissing > 0) {
+        issues.push(`${quantityMissing} unit(s) not returned`);
       }
+      if (quantityDamaged > 0) {
+        issues.push(
+          `${quantityDamaged} unit(s) ${
+            condition === "damaged" ? "damaged" : "with missing parts"
+          }`
+        );
+      }
+
+      service.returnReport = {
+        returnedAt,
+        quantityReturned,
+        condition,
+        notes: req.body.notes,
+        photos,
+        checkedInBy: req.user._id,
+      };
+      service.status = "returned";
 
+      // A clean return gets its deposit back; otherwise it stays held
+      // until the damage record is settled
+      if (issues.length === 0 && service.deposit?.status === "held") {
+        service.deposit.status = "refunded";
+        service.deposit.updatedAt = new Date();
+      }
       await service.save();
+
+      // The saved return report references the photos from here on
+      savedKeys.length = 0;
+
+      // Returned units are free again now that the request is no longer
+      // borrowed; lost and damaged equipment comes out of stock
+      const item = service.inventoryItem
+        ? await InventoryItem.findById(service.inventoryItem)
+        : null;
+
+      if (item && item.kind === "Equipment") {
+        item.quantity = Math.max(
+          0,
+          item.quantity - quantityMissing - quantityDamaged
+        );
+        await item.save();
+      } else if (item && condition !== "good") {
+        item.condition = "damaged";
+        await item.save();
+      }
+
+      // An early return frees the rest of the booking for the waitlist
+      if (item) {
+        await promoteWaitlist(item._id);
+      }
+
+      let damageRecord = null;
+      if (issues.length > 0) {
+        damageRecord = await DamageRecord.create({
+          serviceRequest: service._id,
+          inventoryItem: service.inventoryItem,
+          userId: service.userId,
+          itemName: service.itemName,
+          condition,
+          quantityDamaged,
+          quantityMissing,
+          description: req.body.notes,
+          lateDays,
+          lateFee: computeLateFee(lateDays),
+        });
+        await addStrike(service.userId);
+      }
+
       await createAuditLog(
         req.user._id,
-        "UPDATE_SERVICE_STATUS",
+        "CHECK_IN_SERVICE_RETURN",
         `Service #${service._id}`,
+        {
+          condition,
+          quantityReturned,
+          lateDays,
+          damageRecord: damageRecord?._id,
+        },
         "success",
         req.ip
       );
 
-      // Create notification for the service request owner
-      if (service.userId.toString() !== req.user._id.toString()) {
-        const statusMessages = {
-          pending: "Your service request is pending review",
-          approved: "Your service request has been approved",
-          borrowed: "Your service request is now active",
-          returned: "Your service request has been completed",
-          rejected: "Your service request has been rejected",
-        };
+      await Notification.create({
+        userId: service.userId,
+        title: damageRecord ? "Return Checked In With Issues" : "Item Returned",
+        message: damageRecord
+          ? `Your return of "${
+              service.itemName
+            }" was checked in with ${issues.join(", ")}${
+              damageRecord.lateFee > 0
+                ? ` (late fee: ${damageRecord.lateFee.toFixed(2)})`
+                : ""
+            }. A strike was added to your account and new requests are on hold until staff clear the record.`
+          : `Your return of "${service.itemName}" has been checked in.${
+              service.deposit?.status === "refunded"
+                ? " Your deposit will be refunded."
+                : ""
+            } Thank you!`,
+        type: damageRecord ? "warning" : "success",
+        relatedType: "service",
+        relatedId: service._id,
+      });
 
-        await Notification.create({
-          userId: service.userId,
-          title: "Service Request Status Updated",
-          message: `Your ${service.requestType.toLowerCase()} request "${
-            service.itemName
-          }" status changed from ${oldStatus} to ${req.body.status}. ${
-            req.body.note ? req.body.note : statusMessages[req.body.status]
-          }`,
-          type:
-            req.body.status === "approved" || req.body.status === "returned"
-              ? "success"
-              : req.body.status === "rejected"
-              ? "error"
-              : "info",
-          relatedType: "service",
-          relatedId: service._id,
+      res.json({ service, damageRecord, rejected });
+    } catch (error) {
+      console.error("Return check-in error:", error);
+
+      // Photos stored before the failure are not referenced anywhere
+      for (const key of savedKeys) {
+        await getStorage()
+          .remove(key)
+          .catch(() => {});
+      }
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   GET /api/services/:id/return/photos/:photoId
+// @desc    View a photo taken at return check-in
+// @access  Private (Owner/Staff/Admin)
+router.get("/:id/return/photos/:photoId", protect, async (req, res) => {
+  try {
+    const service = await ServiceRequest.findById(req.params.id);
+
+    if (
+      !service ||
+      (req.user.role === "resident" &&
+        service.userId.toString() !== req.user._id.toString())
+    ) {
+      return res.status(404).json({ message: "Service request not found" });
+    }
+
+    const photo = service.returnReport?.photos.id(req.params.photoId);
+
+    if (!photo) {
+      return res.status(404).json({ message: "Photo not found" });
+    }
+
+    await sendStoredFile(res, photo);
+  } catch (error) {
+    console.error("Get return photo error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   GET /api/services/:id/claim-slip
+// @desc    Download the claim slip PDF with a QR code for pick-up
+// @access  Private (Owner/Staff/Admin)
+router.get("/:id/claim-slip", protect, async (req, res) => {
+  try {
+    const service = await ServiceRequest.findById(req.params.id)
+      .populate("userId", "firstName lastName email phoneNumber")
+      .populate("approvedBy", "firstName lastName")
+      .populate("approval.stages.decidedBy", "firstName lastName");
+
+    if (
+      !service ||
+      (req.user.role === "resident" &&
+        service.userId._id.toString() !== req.user._id.toString())
+    ) {
+      return res.status(404).json({ message: "Service request not found" });
+    }
+
+    if (service.status !== "approved") {
+      return res.status(409).json({
+        message: "Claim slips are only available for approved requests",
+        code: "INVALID_STATUS_TRANSITION",
+        from: service.status,
+        to: "borrowed",
+      });
+    }
+
+    const isFirstIssue = !service.claimSlip?.tokenId;
+    const token = signClaimToken(service);
+    if (isFirstIssue) {
+      await ServiceRequest.updateOne(
+        { _id: service._id },
+        { claimSlip: service.claimSlip }
+      );
+    }
+
+    const doc = new PDFDocument({ margin: 50 });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="claim-slip-${service._id}.pdf"`
+    );
+
+    doc.pipe(res);
+    await writeClaimSlip(doc, service, token);
+    doc.end();
+
+    await createAuditLog(
+      req.user._id,
+      "DOWNLOAD_CLAIM_SLIP",
+      `Service #${service._id}`,
+      {},
+      "success",
+      req.ip
+    );
+  } catch (error) {
+    console.error("Claim slip error:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   POST /api/services/claim-slips/verify
+// @desc    Verify a scanned claim slip and hand the item over (status -> borrowed)
+// @access  Private (Staff/Admin)
+router.post(
+  "/claim-slips/verify",
+  protect,
+  authorize("staff", "admin"),
+  [body("token").trim().notEmpty().withMessage("Token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array().map((err) => ({
+            field: err.path,
+            message: err.msg,
+          })),
         });
       }
 
-      res.json(service);
+      let payload;
+      try {
+        payload = jwt.verify(req.body.token, process.env.JWT_SECRET);
+      } catch (error) {
+        return res
+          .status(401)
+          .json({ message: "Claim slip is invalid or has expired" });
+      }
+
+      if (payload.purpose !== "claim-slip") {
+        return res
+          .status(401)
+          .json({ message: "Claim slip is invalid or has expired" });
+      }
+
+      const service = await ServiceRequest.findById(payload.serviceId);
+
+      // A slip whose request was re-issued or deleted is no longer valid
+      if (!service || service.claimSlip?.tokenId !== payload.jti) {
+        return res
+          .status(401)
+          .json({ message: "Claim slip is invalid or has expired" });
+      }
+
+      if (service.status !== "approved") {
+        return res.status(409).json({
+          message: `This request is ${service.status} and cannot be claimed`,
+          code: "INVALID_STATUS_TRANSITION",
+          from: service.status,
+          to: "borrowed",
+        });
+      }
+
+      service.status = "borrowed";
+      collectDeposit(service);
+      await service.save();
+
+      await createAuditLog(
+        req.user._id,
+        "VERIFY_CLAIM_SLIP",
+        `Service #${service._id}`,
+        { itemName: service.itemName, quantity: service.quantity },
+        "success",
+        req.ip
+      );
+
+      await Notification.create({
+        userId: service.userId,
+        title: "Item Released",
+        message: `Your ${service.requestType.toLowerCase()} request "${
+          service.itemName
+        }" has been claimed and is now active.`,
+        type: "info",
+        relatedType: "service",
+        relatedId: service._id,
+      });
+
+      res.json(
+        await service.populate("userId", "firstName lastName email phoneNumber")
+      );
     } catch (error) {
-      console.error("Update service status error:", error);
+      console.error("Verify claim slip error:", error);
       res.status(500).json({ message: "Server error. Please try again." });
     }
   }
 );
 
+// @route   GET /api/services/:id/receipt
+// @desc    Download the return receipt PDF of a returned request
+// @access  Private (Owner/Staff/Admin)
+router.get("/:id/receipt", protect, async (req, res) => {
+  try {
+    const service = await ServiceRequest.findById(req.params.id)
+      .populate("userId", "firstName lastName email phoneNumber")
+      .populate("returnReport.checkedInBy", "firstName lastName");
+
+    if (
+      !service ||
+      (req.user.role === "resident" &&
+        service.userId._id.toString() !== req.user._id.toString())
+    ) {
+      return res.status(404).json({ message: "Service request not found" });
+    }
+
+    if (service.status !== "returned") {
+      return res.status(409).json({
+        message: "Receipts are only available for returned requests",
+        code: "INVALID_STATUS_TRANSITION",
+        from: service.status,
+        to: "returned",
+      });
+    }
+
+    const damageRecord = await DamageRecord.findOne({
+      serviceRequest: service._id,
+    });
+
+    const doc = new PDFDocument({ margin: 50 });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="receipt-${service._id}.pdf"`
+    );
+
+    doc.pipe(res);
+    writeReturnReceipt(doc, service, damageRecord);
+    doc.end();
+  } catch (error) {
+    console.error("Return receipt error:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
 // @route   POST /api/services/bulk-status
 // @desc    Bulk update service request statuses
 // @access  Private (Staff/Admin)
@@ -337,7 +2238,13 @@ router.post(
     body("status")
       .notEmpty()
       .withMessage("Status is required")
-      .isIn(["pending", "approved", "borrowed", "returned", "rejected"])
+      .not()
+      .equals("returned")
+      .withMessage(
+        "Returned items must be checked in with POST /api/services/:id/return"
+      )
+      .bail()
+      .isIn(["pending", "approved", "borrowed", "rejected"])
       .withMessage("Invalid status"),
     body("note")
       .optional()
@@ -360,6 +2267,7 @@ router.post(
     const results = [];
     let successCount = 0;
     let failedCount = 0;
+    const freedItems = new Set();
 
     // Rejection requires a note
     if (status === "rejected" && !note) {
@@ -383,24 +2291,67 @@ router.post(
             continue;
           }
 
+          const transitionError = statusChangeError(service.status, status);
+          if (transitionError) {
+            results.push({
+              id,
+              success: false,
+              error: transitionError,
+              code: "INVALID_STATUS_TRANSITION",
+            });
+            failedCount++;
+            continue;
+          }
+
+          if (status === "approved" && service.status !== "approved") {
+            const stockError = await checkStock(service);
+            if (stockError) {
+              results.push({ id, success: false, error: stockError.message });
+              failedCount++;
+              continue;
+            }
+
+            const approval = await applyApproval(service, req.user, note);
+            if (approval.error) {
+              results.push({ id, success: false, error: approval.error });
+              failedCount++;
+              continue;
+            }
+            if (!approval.complete) {
+              await service.save();
+              await recordStageApproval(service, approval, req);
+              results.push({ id, success: true, stage: approval.stage.name });
+              successCount++;
+              continue;
+            }
+          }
+
           const oldStatus = service.status;
           service.status = status;
 
           if (status === "rejected") {
             service.rejectionReason = note;
+            rejectApproval(service, req.user, note);
           } else if (status === "approved") {
             service.approvalNote = note;
+            service.approvedBy = req.user._id;
+            service.approvedAt = new Date();
+          } else if (status === "borrowed") {
+            collectDeposit(service);
           }
 
           await service.save();
 
+          if (status === "rejected" && service.inventoryItem) {
+            freedItems.add(service.inventoryItem.toString());
+          }
+
           // Create notification for the service request owner
           if (service.userId.toString() !== req.user._id.toString()) {
             const statusMessages = {
               pending: "Your service request is pending review",
               approved: "Your service request has been approved",
               borrowed: "Your service request is now active",
-              returned: "Your service request has been completed",
               rejected: "Your service request has been rejected",
             };
 
@@ -413,7 +2364,7 @@ router.post(
                 note ? note : statusMessages[status]
               }`,
               type:
-                status === "approved" || status === "returned"
+                status === "approved"
                   ? "success"
                   : status === "rejected"
                   ? "error"
@@ -431,6 +2382,10 @@ router.post(
         }
       }
 
+      for (const itemId of freedItems) {
+        await promoteWaitlist(itemId);
+      }
+
       await createAuditLog(
         req.user._id,
         "BULK_UPDATE_SERVICE_STATUS",
@@ -503,6 +2458,7 @@ router.get(
           "Request Type",
           "Item Name",
           "Item Type",
+          "Quantity",
           "Status",
           "Purpose",
           "Borrow Date",
@@ -518,6 +2474,7 @@ router.get(
           s.requestType || "",
           `"${(s.itemName || "").replace(/"/g, '""')}"`,
           s.itemType || "",
+          s.quantity || 1,
           s.status || "",
           `"${(s.purpose || "").replace(/"/g, '""').replace(/\n/g, " ")}"`,
           s.borrowDate
@@ -135,10 +135,64 @@ router.get(
         };
       });
 
+      // Get resident satisfaction per category
+      const satisfactionByCategory = await Complaint.aggregate([
+        { $match: { rating: { $gte: 1 } } },
+        {
+          $group: {
+            _id: "$category",
+            averageRating: { $avg: "$rating" },
+            ratings: { $sum: 1 },
+          },
+        },
+        {
+          $project: {
+            name: "$_id",
+            averageRating: { $round: ["$averageRating", 2] },
+            ratings: 1,
+            _id: 0,
+          },
+        },
+        { $sort: { averageRating: -1 } },
+      ]);
+
+      // Get resident satisfaction per assigned staff member
+      const satisfactionByStaff = await Complaint.aggregate([
+        { $match: { rating: { $gte: 1 }, assignedTo: { $ne: null } } },
+        {
+          $group: {
+            _id: "$assignedTo",
+            averageRating: { $avg: "$rating" },
+            ratings: { $sum: 1 },
+          },
+        },
+        {
+          $lookup: {
+            from: "users",
+            localField: "_id",
+            foreignField: "_id",
+            as: "staff",
+          },
+        },
+        { $unwind: "$staff" },
+        {
+          $project: {
+            staffId: "$_id",
+            name: { $concat: ["$staff.firstName", " ", "$staff.lastName"] },
+            averageRating: { $round: ["$averageRating", 2] },
+            ratings: 1,
+            _id: 0,
+          },
+        },
+        { $sort: { averageRating: -1 } },
+      ]);
+
       res.json({
         complaintTrend,
         categoryData,
         recentActivity,
+        satisfactionByCategory,
+        satisfactionByStaff,
       });
     } catch (error) {
       console.error("Analytics error:", error);
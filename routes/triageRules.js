@@ -0,0 +1,299 @@
+import express from "express";
+import { body, validationResult } from "express-validator";
+import TriageRule from "../models/TriageRule.js";
+import { protect, authorize } from "../middleware/auth.js";
+import createAuditLog from "../utils/createAuditLog.js";
+import { matchesRule } from "../utils/complaintTriage.js";
+
+const router = express.Router();
+
+/**
+ * Validation rules shared by the create and update routes
+ * @param {boolean} isUpdate - Whether every field is optional
+ * @returns {Array} express-validator chains
+ */
+const ruleValidation = (isUpdate) => [
+  (isUpdate ? body("name").optional() : body("name"))
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name must not exceed 100 characters"),
+  body("keywords")
+    .optional()
+    .isArray()
+    .withMessage("Keywords must be an array"),
+  body("keywords.*")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Keywords cannot be empty"),
+  body("categories")
+    .optional()
+    .isArray()
+    .withMessage("Categories must be an array of category names"),
+  body("timeWindow.startHour")
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 23 })
+    .withMessage("Start hour must be between 0 and 23"),
+  body("timeWindow.endHour")
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 23 })
+    .withMessage("End hour must be between 0 and 23"),
+  (isUpdate ? body("priority").optional() : body("priority"))
+    .isIn(["low", "medium", "high", "urgent"])
+    .withMessage("Invalid priority level"),
+  body("flagForAttention")
+    .optional()
+    .isBoolean()
+    .withMessage("flagForAttention must be a boolean"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+];
+
+/**
+ * Copy the editable fields from the request body
+ * @param {Object} data - Request body
+ * @returns {Object} Rule fields
+ */
+const pickRuleFields = (data) => {
+  const fields = {};
+  for (const key of [
+    "name",
+    "keywords",
+    "categories",
+    "timeWindow",
+    "priority",
+    "flagForAttention",
+    "isActive",
+  ]) {
+    if (data[key] !== undefined) fields[key] = data[key];
+  }
+  return fields;
+};
+
+/**
+ * A rule needs at least one condition, and a time window needs both ends
+ * @param {Object} rule - TriageRule document
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkConditions = (rule) => {
+  const { startHour, endHour } = rule.timeWindow || {};
+  if ((startHour == null) !== (endHour == null)) {
+    return "Time window needs both a start and an end hour";
+  }
+  if (!rule.keywords?.length && !rule.categories?.length && startHour == null) {
+    return "Rule needs at least one keyword, category or time window";
+  }
+  return null;
+};
+
+// @route   GET /api/triage-rules
+// @desc    Get all triage rules
+// @access  Private (Staff/Admin)
+router.get("/", protect, authorize("staff", "admin"), async (req, res) => {
+  try {
+    const rules = await TriageRule.find().sort({ isActive: -1, name: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error("Get triage rules error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// @route   POST /api/triage-rules/test
+// @desc    Show which active rules a sample complaint would match
+// @access  Private (Admin)
+router.post(
+  "/test",
+  protect,
+  authorize("admin"),
+  [
+    body("title").optional().isString(),
+    body("description").optional().isString(),
+    body("category").optional().isString(),
+    body("filedAt")
+      .optional()
+      .isISO8601()
+      .withMessage("filedAt must be a valid date"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const sample = {
+        title: req.body.title || "",
+        description: req.body.description || "",
+        category: req.body.category,
+      };
+      const filedAt = req.body.filedAt
+        ? new Date(req.body.filedAt)
+        : new Date();
+      const rules = await TriageRule.find({ isActive: true });
+
+      res.json(
+        rules
+          .filter((rule) => matchesRule(rule, sample, filedAt))
+          .map((rule) => ({
+            _id: rule._id,
+            name: rule.name,
+            priority: rule.priority,
+            flagForAttention: rule.flagForAttention,
+          }))
+      );
+    } catch (error) {
+      console.error("Test triage rules error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   POST /api/triage-rules
+// @desc    Create a triage rule
+// @access  Private (Admin)
+router.post(
+  "/",
+  protect,
+  authorize("admin"),
+  ruleValidation(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      if (await TriageRule.exists({ name: req.body.name })) {
+        return res
+          .status(409)
+          .json({ message: "A triage rule with this name already exists" });
+      }
+
+      const rule = new TriageRule(pickRuleFields(req.body));
+
+      const conditionError = checkConditions(rule);
+      if (conditionError) {
+        return res.status(400).json({ message: conditionError });
+      }
+
+      await rule.save();
+      await createAuditLog(
+        req.user._id,
+        "CREATE_TRIAGE_RULE",
+        `Triage Rule ${rule.name}`,
+        {},
+        "success",
+        req.ip
+      );
+
+      res.status(201).json(rule);
+    } catch (error) {
+      console.error("Create triage rule error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   PUT /api/triage-rules/:id
+// @desc    Update a triage rule
+// @access  Private (Admin)
+router.put(
+  "/:id",
+  protect,
+  authorize("admin"),
+  ruleValidation(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors
+          .array()
+          .map((err) => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    try {
+      const rule = await TriageRule.findById(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ message: "Triage rule not found" });
+      }
+
+      if (
+        req.body.name &&
+        req.body.name !== rule.name &&
+        (await TriageRule.exists({ name: req.body.name }))
+      ) {
+        return res
+          .status(409)
+          .json({ message: "A triage rule with this name already exists" });
+      }
+
+      rule.set(pickRuleFields(req.body));
+
+      const conditionError = checkConditions(rule);
+      if (conditionError) {
+        return res.status(400).json({ message: conditionError });
+      }
+
+      await rule.save();
+      await createAuditLog(
+        req.user._id,
+        "UPDATE_TRIAGE_RULE",
+        `Triage Rule ${rule.name}`,
+        {},
+        "success",
+        req.ip
+      );
+
+      res.json(rule);
+    } catch (error) {
+      console.error("Update triage rule error:", error);
+      res.status(500).json({ message: "Server error. Please try again." });
+    }
+  }
+);
+
+// @route   DELETE /api/triage-rules/:id
+// @desc    Delete a triage rule
+// @access  Private (Admin)
+router.delete("/:id", protect, authorize("admin"), async (req, res) => {
+  try {
+    const rule = await TriageRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: "Triage rule not found" });
+    }
+
+    await rule.deleteOne();
+    await createAuditLog(
+      req.user._id,
+      "DELETE_TRIAGE_RULE",
+      `Triage Rule ${rule.name}`,
+      {},
+      "success",
+      req.ip
+    );
+
+    res.json({ message: "Triage rule removed" });
+  } catch (error) {
+    console.error("Delete triage rule error:", error);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+export default router;
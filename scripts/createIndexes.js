@@ -6,7 +6,15 @@ dotenv.config();
 
 // Import models to ensure indexes are created
 import "../models/Complaint.js";
+import "../models/ComplaintCategory.js";
+import "../models/TriageRule.js";
 import "../models/ServiceRequest.js";
+import "../models/InventoryItem.js";
+import "../models/DamageRecord.js";
+import "../models/WaitlistEntry.js";
+import "../models/MaintenanceRecord.js";
+import "../models/ReservationSeries.js";
+import "../models/ApprovalChain.js";
 import "../models/Event.js";
 import "../models/Notification.js";
 import "../models/AuditLog.js";
@@ -46,6 +54,16 @@ const createIndexes = async () => {
       }
     }
 
+    // Geospatial index used by the complaint map queries
+    try {
+      await mongoose
+        .model("Complaint")
+        .collection.createIndex({ location: "2dsphere" });
+      console.log("✓ 2dsphere index ready for Complaint.location\n");
+    } catch (error) {
+      console.error("✗ Error creating 2dsphere index:", error.message);
+    }
+
     console.log("Index creation complete!");
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+// Load env vars
+dotenv.config();
+
+import Complaint from "../models/Complaint.js";
+import { processUpload, randomFileName } from "../utils/uploads.js";
+import getStorage from "../utils/storage/index.js";
+
+const DATA_URL_PATTERN = /^data:[^;,]+;base64,(.+)$/s;
+
+/**
+ * Move complaint attachments stored as raw strings (base64 data URLs or
+ * links) into the storage driver. Anything that cannot be converted is
+ * kept in legacyAttachments so no evidence is lost.
+ */
+const migrateAttachments = async () => {
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000,
+    });
+    console.log("Connected to MongoDB");
+
+    const storage = getStorage();
+    const cursor = Complaint.collection.find({
+      attachments: { $type: "string" },
+    });
+
+    let migrated = 0;
+    let kept = 0;
+
+    for await (const doc of cursor) {
+      const attachments = [];
+      const legacyAttachments = [];
+
+      for (const [index, value] of doc.attachments.entries()) {
+        if (typeof value !== "string") {
+          attachments.push(value);
+          continue;
+        }
+
+        const match = value.match(DATA_URL_PATTERN);
+        const processed = match
+          ? processUpload({ buffer: Buffer.from(match[1], "base64") })
+          : null;
+
+        if (!processed) {
+          legacyAttachments.push(value);
+          kept++;
+          continue;
+        }
+
+        const key = `complaints/${doc._id}/${randomFileName(
+          processed.extension
+        )}`;
+        await storage.save(key, processed.buffer);
+
+        attachments.push({
+          _id: new mongoose.Types.ObjectId(),
+          key,
+          originalName: `attachment-${index + 1}${processed.extension}`,
+          mimeType: processed.mimeType,
+          size: processed.buffer.length,
+          uploadedBy: doc.userId,
+          uploadedAt: doc.createdAt || new Date(),
+        });
+        migrated++;
+      }
+
+      await Complaint.collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: { attachments },
+          $push: { legacyAttachments: { $each: legacyAttachments } },
+        }
+      );
+      console.log(`✓ Complaint ${doc._id}`);
+    }
+
+    console.log(
+      `\nMigration complete! ${migrated} file(s) stored, ${kept} kept as legacy attachments.`
+    );
+    process.exit(0);
+  } catch (error) {
+    console.error("Error migrating attachments:", error);
+    process.exit(1);
+  }
+};
+
+migrateAttachments();
@@ -3,6 +3,7 @@ import mongoose from "mongoose";
 import User from "../models/User.js";
 import Complaint from "../models/Complaint.js";
 import ServiceRequest from "../models/ServiceRequest.js";
+import InventoryItem from "../models/InventoryItem.js";
 import Event from "../models/Event.js";
 import Announcement from "../models/Announcement.js";
 import Notification from "../models/Notification.js";
@@ -37,6 +38,7 @@ const seedDatabase = async () => {
     await User.deleteMany({});
     await Complaint.deleteMany({});
     await ServiceRequest.deleteMany({});
+    await InventoryItem.deleteMany({});
     await Event.deleteMany({});
     await Announcement.deleteMany({});
     await Notification.deleteMany({});
@@ -176,12 +178,57 @@ const seedDatabase = async () => {
 
     console.log("Complaints created");
 
+    // Create Inventory
+    const inventory = await InventoryItem.create([
+      {
+        name: "Plastic Chairs",
+        kind: "Equipment",
+        itemType: "Furniture",
+        quantity: 200,
+        location: "Barangay Hall Storage",
+      },
+      {
+        name: "Folding Tables",
+        kind: "Equipment",
+        itemType: "Furniture",
+        quantity: 20,
+        location: "Barangay Hall Storage",
+      },
+      {
+        name: "Sound System",
+        kind: "Equipment",
+        itemType: "Audio",
+        quantity: 1,
+        depositAmount: 1000,
+        location: "Barangay Hall Office",
+      },
+      {
+        name: "Basketball Court",
+        kind: "Facility",
+        itemType: "Sports",
+        location: "Purok 2",
+        capacity: 200,
+      },
+      {
+        name: "Multipurpose Hall",
+        kind: "Facility",
+        itemType: "Venue",
+        location: "Barangay Hall",
+        capacity: 300,
+      },
+    ]);
+
+    console.log("Inventory created");
+
     // Create Service Requests
     await ServiceRequest.create([
       {
         userId: users[0]._id,
-        itemName: "Plastic Chairs (50pcs)",
-        itemType: "Equipment",
+        requestType: "Equipment",
+        inventoryItem: inventory[0]._id,
+        quantity: 50,
+        itemName: "Plastic Chairs",
+        itemType: "Furniture",
         borrowDate: getRelativeDate(5),
         expectedReturnDate: getRelativeDate(6),
         status: "pending",
@@ -189,8 +236,10 @@ const seedDatabase = async () => {
       },
       {
         userId: users[0]._id,
+        requestType: "Facility",
+        inventoryItem: inventory[3]._id,
         itemName: "Basketball Court",
-        itemType: "Facility",
+        itemType: "Sports",
         borrowDate: getRelativeDate(-2),
         expectedReturnDate: getRelativeDate(-2),
         status: "approved",
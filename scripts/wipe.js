@@ -2,7 +2,16 @@ import dotenv from "dotenv";
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import Complaint from "../models/Complaint.js";
+import ComplaintCategory from "../models/ComplaintCategory.js";
+import TriageRule from "../models/TriageRule.js";
+import SeedMarker from "../models/SeedMarker.js";
 import ServiceRequest from "../models/ServiceRequest.js";
+import InventoryItem from "../models/InventoryItem.js";
+import DamageRecord from "../models/DamageRecord.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import MaintenanceRecord from "../models/MaintenanceRecord.js";
+import ReservationSeries from "../models/ReservationSeries.js";
+import ApprovalChain from "../models/ApprovalChain.js";
 import Event from "../models/Event.js";
 import Announcement from "../models/Announcement.js";
 import Notification from "../models/Notification.js";
@@ -24,7 +33,17 @@ const wipeDatabase = async () => {
     const models = [
       { name: "User", model: User },
       { name: "Complaint", model: Complaint },
+      { name: "ComplaintCategory", model: ComplaintCategory },
+      { name: "TriageRule", model: TriageRule },
+      // Lets the default categories and rules be created again on start-up
+      { name: "SeedMarker", model: SeedMarker },
       { name: "ServiceRequest", model: ServiceRequest },
+      { name: "InventoryItem", model: InventoryItem },
+      { name: "DamageRecord", model: DamageRecord },
+      { name: "WaitlistEntry", model: WaitlistEntry },
+      { name: "MaintenanceRecord", model: MaintenanceRecord },
+      { name: "ReservationSeries", model: ReservationSeries },
+      { name: "ApprovalChain", model: ApprovalChain },
       { name: "Event", model: Event },
       { name: "Announcement", model: Announcement },
       { name: "Notification", model: Notification },
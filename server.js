@@ -10,19 +10,36 @@ import connectDB from "./config/db.js";
 import errorHandler from "./middleware/errorHandler.js";
 import timeout from "./middleware/timeout.js";
 import { initScheduledJobs } from "./utils/scheduledJobs.js";
+import { ensureDefaultCategories } from "./utils/complaintCategories.js";
+import { ensureDefaultTriageRules } from "./utils/complaintTriage.js";
+import { ensureDefaultApprovalChains } from "./utils/approvalChains.js";
 
 // Load env vars
 dotenv.config();
 
-// Connect to database and initialize scheduled jobs
-connectDB().then(() => {
+// Connect to database, create the default data once and initialize
+// scheduled jobs
+connectDB().then(async () => {
+  try {
+    await ensureDefaultCategories();
+    await ensureDefaultTriageRules();
+    await ensureDefaultApprovalChains();
+  } catch (error) {
+    console.error("Error creating default data:", error);
+  }
   initScheduledJobs();
 });
 
 // Route imports
 import authRoutes from "./routes/auth.js";
 import complaintsRoutes from "./routes/complaints.js";
+import complaintCategoriesRoutes from "./routes/complaintCategories.js";
+import triageRulesRoutes from "./routes/triageRules.js";
 import servicesRoutes from "./routes/services.js";
+import inventoryRoutes from "./routes/inventory.js";
+import damageRecordsRoutes from "./routes/damageRecords.js";
+import maintenanceRoutes from "./routes/maintenance.js";
+import approvalChainsRoutes from "./routes/approvalChains.js";
 import eventsRoutes from "./routes/events.js";
 import announcementsRoutes from "./routes/announcements.js";
 import notificationsRoutes from "./routes/notifications.js";
@@ -97,10 +114,21 @@ const authLimiter = rateLimit({
 app.use("/api/auth/login", authLimiter);
 app.use("/api/auth/register", authLimiter);
 
-// Increase request body limits to allow client avatars and larger payloads (e.g., base64 images)
-// Keep a reasonable limit to prevent abuse. Adjust as needed.
-app.use(express.json({ limit: "5mb" }));
-app.use(express.urlencoded({ extended: true, limit: "5mb" }));
+// Stricter rate limiting for public complaint tracking (prevents guessing)
+const trackingLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.TRACKING_RATE_LIMIT_MAX) || 10, // 10 lookups per window
+  message: { message: "Too many tracking requests, please try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use("/api/public/complaints/track", trackingLimiter);
+
+// Files are uploaded as multipart; only profile avatars still arrive as
+// base64 JSON and need the larger limit
+app.use("/api/auth/profile", express.json({ limit: "5mb" }));
+app.use(express.json({ limit: "1mb" }));
+app.use(express.urlencoded({ extended: true, limit: "1mb" }));
 
 // Logging
 if (process.env.NODE_ENV === "development") {
@@ -112,7 +140,13 @@ if (process.env.NODE_ENV === "development") {
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/complaints", complaintsRoutes);
+app.use("/api/complaint-categories", complaintCategoriesRoutes);
+app.use("/api/triage-rules", triageRulesRoutes);
 app.use("/api/services", servicesRoutes);
+app.use("/api/inventory", inventoryRoutes);
+app.use("/api/damage-records", damageRecordsRoutes);
+app.use("/api/maintenance", maintenanceRoutes);
+app.use("/api/approval-chains", approvalChainsRoutes);
 app.use("/api/events", eventsRoutes);
 app.use("/api/announcements", announcementsRoutes);
 app.use("/api/notifications", notificationsRoutes);
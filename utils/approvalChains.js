@@ -0,0 +1,219 @@
+import ApprovalChain from "../models/ApprovalChain.js";
+import InventoryItem from "../models/InventoryItem.js";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import seedOnce from "./seedDefaults.js";
+
+// Approval chain configuration
+const APPROVAL_CONFIG = {
+  // Bookings for at least this many people need the large-gathering chain
+  largeBookingPeople:
+    parseInt(process.env.APPROVAL_LARGE_BOOKING_PEOPLE) || 100,
+};
+
+// Staff review followed by the barangay captain (an admin)
+const TWO_STAGE_SIGN_OFF = [
+  { name: "Staff review", roles: ["staff", "admin"] },
+  { name: "Captain approval", roles: ["admin"] },
+];
+
+/**
+ * Chains created once, on first start-up
+ */
+export const DEFAULT_APPROVAL_CHAINS = [
+  {
+    name: "Venue bookings",
+    description: "The multipurpose hall and other venues",
+    itemTypes: ["Venue"],
+    stages: TWO_STAGE_SIGN_OFF,
+  },
+  {
+    name: "Large gatherings",
+    description: `Facility bookings for ${APPROVAL_CONFIG.largeBookingPeople} or more people`,
+    minPeople: APPROVAL_CONFIG.largeBookingPeople,
+    stages: TWO_STAGE_SIGN_OFF,
+  },
+];
+
+/**
+ * Create the default chains once, on first start-up
+ * @returns {Promise<boolean>} True if the defaults were inserted
+ */
+export const ensureDefaultApprovalChains = () =>
+  seedOnce("approvalChains", ApprovalChain, DEFAULT_APPROVAL_CHAINS);
+
+/**
+ * Check a chain against a request. Every condition the chain sets must match.
+ * @param {Object} chain - ApprovalChain document
+ * @param {Object} request - Service request (numberOfPeople)
+ * @param {Object} item - InventoryItem the request is for
+ * @returns {boolean} True if the chain applies
+ */
+export const matchesChain = (chain, request, item) => {
+  if (
+    chain.inventoryItems?.length &&
+    !chain.inventoryItems.some((id) => id.toString() === item._id.toString())
+  ) {
+    return false;
+  }
+  if (chain.itemTypes?.length && !chain.itemTypes.includes(item.itemType)) {
+    return false;
+  }
+  if (chain.minPeople && !(request.numberOfPeople >= chain.minPeople)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Whether a user may sign off an approval stage
+ * @param {Object} user - Staff or admin user
+ * @param {Object} stage - Approval stage
+ * @returns {boolean} True if allowed
+ */
+export const canApproveStage = (user, stage) =>
+  stage.roles.includes(user.role) ||
+  stage.approvers.some((id) => id.toString() === user._id.toString());
+
+/**
+ * Attach the strictest matching chain to a request that has none yet, or
+ * whose earlier chain was rejected. Stages are copied so later edits to the
+ * chain do not change requests already in review.
+ * @param {Object} service - Service request document (modified in place)
+ */
+const startApproval = async (service) => {
+  if (
+    service.approval &&
+    !service.approval.stages.some((stage) => stage.status === "rejected")
+  ) {
+    return;
+  }
+
+  if (!service.inventoryItem) return;
+  const item = await InventoryItem.findById(service.inventoryItem);
+  if (!item) return;
+
+  const chain = (await ApprovalChain.find({ isActive: true }))
+    .filter((candidate) => matchesChain(candidate, service, item))
+    .sort((a, b) => b.stages.length - a.stages.length)[0];
+
+  if (!chain) {
+    service.approval = undefined;
+    return;
+  }
+
+  service.approval = {
+    chain: chain._id,
+    chainName: chain.name,
+    stages: chain.stages.map((stage) => ({
+      name: stage.name,
+      roles: stage.roles,
+      approvers: stage.approvers,
+    })),
+    currentStage: 0,
+  };
+};
+
+/**
+ * Why a user may not sign off the current approval stage of a request, if
+ * they may not. Attaches the matching chain first if the request has none.
+ * @param {Object} service - Service request document (modified in place)
+ * @param {Object} user - Approving staff or admin
+ * @returns {Promise<string|null>} Error message, or null if allowed
+ */
+export const approvalStageError = async (service, user) => {
+  await startApproval(service);
+
+  const approval = service.approval;
+  if (!approval || approval.currentStage >= approval.stages.length) {
+    return null;
+  }
+
+  const stage = approval.stages[approval.currentStage];
+
+  if (!canApproveStage(user, stage)) {
+    return `You cannot sign off the "${stage.name}" stage of this request`;
+  }
+
+  if (
+    approval.stages.some(
+      (other) => other.decidedBy?.toString() === user._id.toString()
+    )
+  ) {
+    return "You already signed off an earlier stage of this request";
+  }
+
+  return null;
+};
+
+/**
+ * Sign off the current approval stage of a request. Requests without a
+ * chain are complete straight away. One person cannot sign two stages.
+ * @param {Object} service - Service request document (modified in place)
+ * @param {Object} user - Approving staff or admin
+ * @param {string} note - Optional approval note
+ * @returns {Promise<Object>} { complete, stage, next } or { error } message
+ */
+export const applyApproval = async (service, user, note) => {
+  const error = await approvalStageError(service, user);
+  if (error) return { error };
+
+  const approval = service.approval;
+  if (!approval || approval.currentStage >= approval.stages.length) {
+    return { complete: true };
+  }
+
+  const stage = approval.stages[approval.currentStage];
+  stage.status = "approved";
+  stage.decidedBy = user._id;
+  stage.decidedAt = new Date();
+  stage.note = note;
+  approval.currentStage += 1;
+
+  const next = approval.stages[approval.currentStage];
+  return { complete: !next, stage, next };
+};
+
+/**
+ * Record a rejection on the current approval stage, if one is in progress
+ * @param {Object} service - Service request document (modified in place)
+ * @param {Object} user - Rejecting staff or admin
+ * @param {string} note - Rejection reason
+ */
+export const rejectApproval = (service, user, note) => {
+  const stage = service.approval?.stages[service.approval.currentStage];
+  if (!stage) return;
+
+  stage.status = "rejected";
+  stage.decidedBy = user._id;
+  stage.decidedAt = new Date();
+  stage.note = note;
+};
+
+/**
+ * Let everyone who can sign the next stage know a request is waiting
+ * @param {Object} service - Service request document
+ * @param {Object} stage - Stage awaiting sign-off
+ */
+export const notifyStageApprovers = async (service, stage) => {
+  const approvers = await User.find({
+    $or: [{ role: { $in: stage.roles } }, { _id: { $in: stage.approvers } }],
+  }).select("_id");
+
+  if (approvers.length === 0) return;
+
+  await Notification.insertMany(
+    approvers.map((approver) => ({
+      userId: approver._id,
+      title: "Approval Needed",
+      message: `The ${service.requestType.toLowerCase()} request "${
+        service.itemName
+      }" is waiting for the "${stage.name}" sign-off.`,
+      type: "info",
+      relatedType: "service",
+      relatedId: service._id,
+    }))
+  );
+};
+
+export { APPROVAL_CONFIG };
@@ -0,0 +1,114 @@
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { getAvailableQuantity } from "./inventory.js";
+import { bookingInterval, findBookingConflicts } from "./facilityBookings.js";
+
+/**
+ * Error payload for an item that is out of service
+ * @param {Object} item - InventoryItem document
+ * @returns {Object|null} 409 error payload, or null if in service
+ */
+export const outOfServiceError = (item) =>
+  item.outOfService
+    ? {
+        message: `"${item.name}" is out of service${
+          item.outOfServiceReason ? `: ${item.outOfServiceReason}` : ""
+        }`,
+        code: "OUT_OF_SERVICE",
+      }
+    : null;
+
+/**
+ * Unexpired waitlist offers for an item that overlap a range. An offer
+ * holds its units or slot until the resident claims it or it runs out.
+ * @param {Object} itemId - Inventory item ID
+ * @param {Date} start - Start of the range
+ * @param {Date} end - End of the range (exclusive)
+ * @param {Object|null} excludeEntryId - Waitlist entry to leave out
+ * @returns {Promise<Array<Object>>} Overlapping offered entries
+ */
+const findHeldOffers = async (itemId, start, end, excludeEntryId) => {
+  const filter = {
+    inventoryItem: itemId,
+    status: "offered",
+    claimExpiresAt: { $gt: new Date() },
+  };
+  if (excludeEntryId) filter._id = { $ne: excludeEntryId };
+
+  const offers = await WaitlistEntry.find(filter);
+  return offers.filter((offer) => {
+    const held = bookingInterval(offer);
+    return held.start < end && start < held.end;
+  });
+};
+
+/**
+ * Check that an inventory item is free for a request's dates. Equipment
+ * needs enough units in stock; a facility must not overlap another booking.
+ * Open waitlist offers count as taken. Nothing is free while the item is
+ * out of service.
+ * @param {Object} item - InventoryItem document
+ * @param {Object} request - Service request (or its fields before saving)
+ * @param {Object|null} excludeId - ObjectId of a request to leave out
+ * @param {Object|null} excludeEntryId - Waitlist entry being claimed
+ * @returns {Promise<Object|null>} 409 error payload, or null if available
+ */
+export const checkAvailability = async (
+  item,
+  request,
+  excludeId = null,
+  excludeEntryId = null
+) => {
+  const outOfService = outOfServiceError(item);
+  if (outOfService) return outOfService;
+
+  const { start, end } = bookingInterval(request);
+  const offers = await findHeldOffers(item._id, start, end, excludeEntryId);
+
+  if (item.kind === "Facility") {
+    const conflicts = await findBookingConflicts(
+      item._id,
+      start,
+      end,
+      excludeId
+    );
+    conflicts.push(...offers);
+
+    if (conflicts.length === 0) return null;
+
+    return {
+      message: `"${item.name}" is already booked during that time`,
+      code: "BOOKING_CONFLICT",
+      conflicts: conflicts.map((conflict) => ({
+        ...bookingInterval(conflict),
+        status: conflict.status,
+      })),
+    };
+  }
+
+  const quantity = request.quantity || 1;
+  const free = await getAvailableQuantity(
+    item,
+    request.borrowDate,
+    request.expectedReturnDate,
+    excludeId
+  );
+  const heldByOffers = offers.reduce(
+    (total, offer) => total + offer.quantity,
+    0
+  );
+  const available = Math.max(free - heldByOffers, 0);
+
+  if (quantity <= available) return null;
+
+  return {
+    message:
+      available > 0
+        ? `Only ${available} of "${item.name}" available for those dates`
+        : `"${item.name}" is not available for those dates`,
+    code: "INSUFFICIENT_STOCK",
+    requested: quantity,
+    available,
+  };
+};
+
+export default checkAvailability;
@@ -0,0 +1,105 @@
+import ServiceRequest from "../models/ServiceRequest.js";
+import DamageRecord from "../models/DamageRecord.js";
+import User from "../models/User.js";
+import { bookingInterval } from "./facilityBookings.js";
+
+// Borrowing penalty configuration
+const PENALTY_CONFIG = {
+  // Charged for each started day an item is returned late
+  lateFeePerDay: parseFloat(process.env.BORROWING_LATE_FEE_PER_DAY) || 50,
+  // Residents with this many strikes cannot borrow until an admin clears them
+  strikeLimit: parseInt(process.env.BORROWING_STRIKE_LIMIT) || 3,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Started days a request is (or was) past its return deadline. Equipment
+ * is due by the end of its return date, facilities by their end time.
+ * @param {Object} request - Service request document
+ * @param {Date} returnedAt - When the item came back (defaults to now)
+ * @returns {number} Days late, 0 if on time
+ */
+export const countLateDays = (request, returnedAt = new Date()) => {
+  const { end: dueAt } = bookingInterval(request);
+  const lateMs = new Date(returnedAt) - dueAt;
+  return lateMs > 0 ? Math.ceil(lateMs / DAY_MS) : 0;
+};
+
+/**
+ * Late fee for a number of days late
+ * @param {number} lateDays - Days late
+ * @returns {number} Fee amount
+ */
+export const computeLateFee = (lateDays) =>
+  lateDays * PENALTY_CONFIG.lateFeePerDay;
+
+/**
+ * Amount the borrower still owes on a damage/liability record
+ * @param {Object} record - DamageRecord document
+ * @returns {number} Outstanding balance (never negative)
+ */
+export const outstandingBalance = (record) =>
+  Math.max(
+    0,
+    (record.lateFee || 0) +
+      (record.damageCharge || 0) -
+      (record.amountPaid || 0)
+  );
+
+/**
+ * Reasons a resident may not submit new service requests: open
+ * damage/liability records, overdue items not yet returned, or too many
+ * strikes
+ * @param {Object} user - User document
+ * @returns {Promise<Array<Object>>} Blocking reasons, empty if allowed
+ */
+export const getBorrowingBlocks = async (user) => {
+  const reasons = [];
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const [openRecords, overdueItems] = await Promise.all([
+    DamageRecord.countDocuments({ userId: user._id, status: "open" }),
+    ServiceRequest.countDocuments({
+      userId: user._id,
+      status: "borrowed",
+      expectedReturnDate: { $lt: today },
+    }),
+  ]);
+
+  if (openRecords > 0) {
+    reasons.push({
+      code: "OPEN_LIABILITY",
+      message: `${openRecords} damage or late return record(s) not yet cleared by staff`,
+    });
+  }
+
+  if (overdueItems > 0) {
+    reasons.push({
+      code: "OVERDUE_ITEMS",
+      message: `${overdueItems} borrowed item(s) past their return date`,
+    });
+  }
+
+  if ((user.borrowingStrikes || 0) >= PENALTY_CONFIG.strikeLimit) {
+    reasons.push({
+      code: "STRIKE_LIMIT",
+      message: `${user.borrowingStrikes} strikes (limit ${PENALTY_CONFIG.strikeLimit})`,
+    });
+  }
+
+  return reasons;
+};
+
+/**
+ * Give a resident a strike for a late, damaged or incomplete return.
+ * Uses an update so the password hook on User is not triggered.
+ * @param {Object} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const addStrike = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { borrowingStrikes: 1 } });
+};
+
+export { PENALTY_CONFIG };
@@ -0,0 +1,150 @@
+import { field, formatDate, heading } from "./pdf.js";
+
+/**
+ * Human-readable file size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+const formatSize = (bytes = 0) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.ceil(bytes / 1024)} KB`;
+
+/**
+ * Write the full case file of a complaint: details, resolution, history,
+ * comments and attachments. Internal notes are never included.
+ * @param {Object} doc - PDFKit document
+ * @param {Object} complaint - Redacted complaint with userId and assignedTo populated
+ * @param {Array<Object>} mergedComplaints - Complaints merged into this one
+ */
+export const writeCaseFile = (doc, complaint, mergedComplaints = []) => {
+  doc
+    .fontSize(20)
+    .font("Helvetica-Bold")
+    .text("Complaint Case File", { align: "center" });
+  doc.moveDown(0.3);
+  doc
+    .fontSize(12)
+    .font("Helvetica")
+    .text(complaint.referenceNumber || `#${complaint._id}`, {
+      align: "center",
+    });
+  doc
+    .fontSize(9)
+    .text(`Generated on: ${new Date().toLocaleString()}`, { align: "center" });
+
+  heading(doc, "Details");
+  field(doc, "Title", complaint.title);
+  field(doc, "Category", complaint.category);
+  field(doc, "Status", complaint.status);
+  field(
+    doc,
+    "Priority",
+    complaint.requestedPriority &&
+      complaint.requestedPriority !== complaint.priority
+      ? `${complaint.priority} (resident selected ${complaint.requestedPriority})`
+      : complaint.priority
+  );
+  field(
+    doc,
+    "Submitted By",
+    complaint.userId
+      ? `${complaint.userId.firstName} ${complaint.userId.lastName}`
+      : "-"
+  );
+  field(
+    doc,
+    "Assigned To",
+    complaint.assignedTo
+      ? `${complaint.assignedTo.firstName} ${complaint.assignedTo.lastName}`
+      : "Unassigned"
+  );
+  field(doc, "Filed", formatDate(complaint.createdAt));
+  field(doc, "Purok", complaint.purok);
+  if (complaint.location?.coordinates) {
+    const [longitude, latitude] = complaint.location.coordinates;
+    field(doc, "Location", `${latitude}, ${longitude}`);
+  }
+  if (complaint.mergedInto) {
+    field(doc, "Merged Into", `#${complaint.mergedInto}`);
+  }
+  if (mergedComplaints.length > 0) {
+    field(
+      doc,
+      "Merged Complaints",
+      mergedComplaints
+        .map((merged) => merged.referenceNumber || `#${merged._id}`)
+        .join(", ")
+    );
+  }
+
+  doc.moveDown(0.5);
+  doc.font("Helvetica-Bold").text("Description");
+  doc.font("Helvetica").text(complaint.description);
+
+  heading(doc, "Resolution");
+  if (["resolved", "closed"].includes(complaint.status)) {
+    const resolution = [...(complaint.history || [])]
+      .reverse()
+      .find((entry) => entry.action === "Status Updated to resolved");
+
+    field(doc, "Resolved", formatDate(complaint.resolvedAt));
+    field(doc, "Resolution Note", resolution?.note);
+    field(
+      doc,
+      "Resident Rating",
+      complaint.rating ? `${complaint.rating} / 5` : "Not rated"
+    );
+    field(doc, "Resident Feedback", complaint.feedback);
+  } else {
+    doc.text("This complaint has not been resolved yet.");
+  }
+
+  heading(doc, "History");
+  for (const entry of complaint.history || []) {
+    doc
+      .font("Helvetica-Bold")
+      .text(`${formatDate(entry.timestamp)} - ${entry.action}`)
+      .font("Helvetica")
+      .text(`By ${entry.by}${entry.note ? `: ${entry.note}` : ""}`, {
+        indent: 12,
+      });
+    doc.moveDown(0.2);
+  }
+
+  heading(doc, "Comments");
+  if (!complaint.comments?.length) {
+    doc.text("No comments.");
+  }
+  for (const comment of complaint.comments || []) {
+    doc
+      .font("Helvetica-Bold")
+      .text(
+        `${formatDate(comment.timestamp)} - ${comment.userName} (${
+          comment.userRole
+        })${comment.editedAt && !comment.isDeleted ? " [edited]" : ""}`
+      )
+      .font(comment.isDeleted ? "Helvetica-Oblique" : "Helvetica")
+      .text(comment.message, { indent: 12 });
+    doc.moveDown(0.2);
+  }
+
+  heading(doc, "Attachments");
+  if (!complaint.attachments?.length) {
+    doc.text("No attachments.");
+  }
+  for (const attachment of complaint.attachments || []) {
+    doc.text(
+      `${attachment.originalName} (${attachment.mimeType}, ${formatSize(
+        attachment.size
+      )}) - uploaded ${formatDate(attachment.uploadedAt)}`
+    );
+  }
+  if (complaint.legacyAttachments?.length) {
+    doc.text(
+      `${complaint.legacyAttachments.length} legacy attachment(s) not in file storage`
+    );
+  }
+};
+
+export default writeCaseFile;
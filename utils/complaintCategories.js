@@ -0,0 +1,97 @@
+import Complaint from "../models/Complaint.js";
+import ComplaintCategory from "../models/ComplaintCategory.js";
+import User from "../models/User.js";
+import seedOnce from "./seedDefaults.js";
+
+/**
+ * Categories created on first start-up. The SLA
+ * overrides keep the targets that used to be hardcoded per category.
+ */
+export const DEFAULT_COMPLAINT_CATEGORIES = [
+  { name: "Infrastructure", description: "Damaged public structures" },
+  { name: "Sanitation", description: "Garbage collection and cleanliness" },
+  {
+    name: "Security",
+    description: "Crime, suspicious activity and safety concerns",
+    slaTargets: {
+      urgent: { responseHours: 4, resolutionHours: 12 },
+      high: { responseHours: 4, resolutionHours: 48 },
+    },
+  },
+  {
+    name: "Noise",
+    description: "Noise disturbances",
+    slaTargets: { urgent: { responseHours: 2, resolutionHours: 8 } },
+  },
+  { name: "Lighting", description: "Broken or missing street lights" },
+  {
+    name: "Drainage",
+    description: "Clogged canals and flooding",
+    slaTargets: { urgent: { responseHours: 4, resolutionHours: 24 } },
+  },
+  { name: "Road", description: "Potholes and road obstructions" },
+  { name: "Other", description: "Anything not covered above" },
+];
+
+/**
+ * Create the default categories once, on first start-up
+ * @returns {Promise<boolean>} True if the defaults were inserted
+ */
+export const ensureDefaultCategories = () =>
+  seedOnce(
+    "complaintCategories",
+    ComplaintCategory,
+    DEFAULT_COMPLAINT_CATEGORIES
+  );
+
+/**
+ * Find an active category by name
+ * @param {string} name - Category name
+ * @returns {Promise<Object|null>} ComplaintCategory document
+ */
+export const getActiveCategory = (name) =>
+  ComplaintCategory.findOne({ name, isActive: true });
+
+/**
+ * Pick the staff member a new complaint should go to. A category's
+ * default assignee wins; otherwise the staff group member with the fewest
+ * open complaints is chosen.
+ * @param {Object} category - ComplaintCategory document
+ * @returns {Promise<Object|null>} Assignee user, or null to leave unassigned
+ */
+export const routeComplaint = async (category) => {
+  const candidateIds = category.defaultAssignee
+    ? [category.defaultAssignee]
+    : category.staffGroup;
+
+  if (!candidateIds?.length) return null;
+
+  const candidates = await User.find({
+    _id: { $in: candidateIds },
+    role: { $in: ["staff", "admin"] },
+  }).select("firstName lastName role");
+
+  if (candidates.length <= 1) return candidates[0] || null;
+
+  const workloads = await Complaint.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: candidates.map((user) => user._id) },
+        status: { $in: ["pending", "in-progress"] },
+      },
+    },
+    { $group: { _id: "$assignedTo", open: { $sum: 1 } } },
+  ]);
+
+  const openCount = (user) =>
+    workloads.find((entry) => entry._id.equals(user._id))?.open || 0;
+
+  // Keep the configured group order as the tie-breaker
+  const ordered = candidateIds
+    .map((id) => candidates.find((user) => user._id.equals(id)))
+    .filter(Boolean);
+
+  return ordered.reduce((best, user) =>
+    openCount(user) < openCount(best) ? user : best
+  );
+};
@@ -0,0 +1,57 @@
+import User from "../models/User.js";
+
+// Comment editing configuration
+const COMMENT_CONFIG = {
+  residentEditWindowMinutes:
+    parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15,
+};
+
+export const DELETED_COMMENT_PLACEHOLDER = "This comment was deleted.";
+
+// "@juan.delacruz" mentions the user whose email starts with juan.delacruz@
+const MENTION_PATTERN = /(?:^|\s)@([a-z0-9._+-]+)/gi;
+
+/**
+ * Find the staff and admin users mentioned in a comment. A mention is "@"
+ * followed by the part of the user's email before the "@".
+ * @param {string} message - Comment text
+ * @returns {Promise<Array<Object>>} Mentioned staff users
+ */
+export const findMentionedStaff = async (message) => {
+  const handles = [
+    ...new Set(
+      [...message.matchAll(MENTION_PATTERN)].map((match) =>
+        match[1].replace(/\.+$/, "").toLowerCase()
+      )
+    ),
+  ].filter(Boolean);
+
+  if (handles.length === 0) return [];
+
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  return User.find({
+    role: { $in: ["staff", "admin"] },
+    email: {
+      $in: handles.map((handle) => new RegExp(`^${escape(handle)}@`, "i")),
+    },
+  }).select("firstName lastName email role");
+};
+
+/**
+ * Whether a user may still edit a comment. Staff and admins can always
+ * edit their own comments; residents only within the edit window.
+ * @param {Object} comment - Comment subdocument
+ * @param {Object} user - The requesting user
+ * @returns {boolean} True if the edit is allowed
+ */
+export const canEditComment = (comment, user) => {
+  if (comment.isDeleted) return false;
+  if (comment.userId.toString() !== user._id.toString()) return false;
+  if (user.role !== "resident") return true;
+
+  const windowMs = COMMENT_CONFIG.residentEditWindowMinutes * 60 * 1000;
+  return Date.now() - new Date(comment.timestamp).getTime() <= windowMs;
+};
+
+export { COMMENT_CONFIG };
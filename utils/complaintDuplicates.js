@@ -0,0 +1,74 @@
+import Complaint from "../models/Complaint.js";
+
+// Duplicate detection configuration
+const DUPLICATE_CONFIG = {
+  windowDays: parseInt(process.env.COMPLAINT_DUPLICATE_WINDOW_DAYS) || 7,
+  minSimilarity:
+    parseFloat(process.env.COMPLAINT_DUPLICATE_MIN_SIMILARITY) || 0.3,
+  maxCandidates: 5,
+};
+
+/**
+ * Split text into a set of lowercase words, ignoring very short words
+ * @param {string} text - Text to tokenize
+ * @returns {Set<string>} Unique words
+ */
+const tokenize = (text = "") =>
+  new Set(
+    text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, " ")
+      .split(/\s+/)
+      .filter((word) => word.length > 2)
+  );
+
+/**
+ * Jaccard similarity between two word sets
+ * @param {Set<string>} a - First word set
+ * @param {Set<string>} b - Second word set
+ * @returns {number} Similarity between 0 and 1
+ */
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Find recent open complaints in the same category that look like the same issue
+ * @param {Object} complaint - The complaint to compare against
+ * @returns {Promise<Array<{complaint: Object, score: number}>>} Best matches first
+ */
+export const findDuplicateCandidates = async (complaint) => {
+  const since = new Date(
+    Date.now() - DUPLICATE_CONFIG.windowDays * 24 * 60 * 60 * 1000
+  );
+
+  const recent = await Complaint.find({
+    _id: { $ne: complaint._id },
+    category: complaint.category,
+    status: { $ne: "closed" },
+    mergedInto: null,
+    createdAt: { $gte: since },
+  }).select("title description category status userId createdAt");
+
+  const titleWords = tokenize(complaint.title);
+  const descriptionWords = tokenize(complaint.description);
+
+  return recent
+    .map((candidate) => ({
+      complaint: candidate,
+      score: Math.max(
+        similarity(titleWords, tokenize(candidate.title)),
+        similarity(descriptionWords, tokenize(candidate.description))
+      ),
+    }))
+    .filter((match) => match.score >= DUPLICATE_CONFIG.minSimilarity)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, DUPLICATE_CONFIG.maxCandidates);
+};
+
+export { DUPLICATE_CONFIG };
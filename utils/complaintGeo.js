@@ -0,0 +1,95 @@
+const EARTH_RADIUS_METERS = 6378100;
+
+// Radius searches are capped to keep queries reasonable
+const MAX_RADIUS_METERS = 50000;
+
+/**
+ * Build a GeoJSON point from latitude and longitude
+ * @param {number|string} latitude - Latitude in degrees
+ * @param {number|string} longitude - Longitude in degrees
+ * @returns {Object} GeoJSON Point
+ */
+export const toPoint = (latitude, longitude) => ({
+  type: "Point",
+  coordinates: [parseFloat(longitude), parseFloat(latitude)],
+});
+
+/**
+ * Parse the map query parameters of a complaint list request.
+ * Supports a bounding box (bbox=minLng,minLat,maxLng,maxLat) or a
+ * radius search (lat, lng and radius in meters).
+ * @param {Object} params - Express query parameters
+ * @returns {{filter: Object|null, error: string|null}} Location filter or error
+ */
+export const parseGeoFilter = (params) => {
+  if (params.bbox) {
+    const box = params.bbox.split(",").map((value) => parseFloat(value));
+    const [minLng, minLat, maxLng, maxLat] = box;
+
+    if (
+      box.length !== 4 ||
+      box.some((value) => Number.isNaN(value)) ||
+      minLng >= maxLng ||
+      minLat >= maxLat ||
+      minLng < -180 ||
+      maxLng > 180 ||
+      minLat < -90 ||
+      maxLat > 90
+    ) {
+      return {
+        filter: null,
+        error: "bbox must be minLng,minLat,maxLng,maxLat",
+      };
+    }
+
+    return {
+      filter: {
+        $geoWithin: {
+          $geometry: {
+            type: "Polygon",
+            coordinates: [
+              [
+                [minLng, minLat],
+                [maxLng, minLat],
+                [maxLng, maxLat],
+                [minLng, maxLat],
+                [minLng, minLat],
+              ],
+            ],
+          },
+        },
+      },
+      error: null,
+    };
+  }
+
+  if (params.lat || params.lng || params.radius) {
+    const lat = parseFloat(params.lat);
+    const lng = parseFloat(params.lng);
+    const radius = parseFloat(params.radius);
+
+    if (
+      [lat, lng, radius].some((value) => Number.isNaN(value)) ||
+      Math.abs(lat) > 90 ||
+      Math.abs(lng) > 180 ||
+      radius <= 0 ||
+      radius > MAX_RADIUS_METERS
+    ) {
+      return {
+        filter: null,
+        error: `lat, lng and radius (1-${MAX_RADIUS_METERS} meters) are required for a radius search`,
+      };
+    }
+
+    return {
+      filter: {
+        $geoWithin: {
+          $centerSphere: [[lng, lat], radius / EARTH_RADIUS_METERS],
+        },
+      },
+      error: null,
+    };
+  }
+
+  return { filter: null, error: null };
+};
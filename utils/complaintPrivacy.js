@@ -0,0 +1,93 @@
+export const CONFIDENTIAL_REPORTER_NAME = "Confidential Reporter";
+
+/**
+ * Name to record in history and comments for an action by the reporter
+ * @param {Object} user - The acting user
+ * @param {Object} complaint - The complaint document
+ * @returns {string} Display name
+ */
+export const reporterDisplayName = (user, complaint) =>
+  complaint.isConfidential &&
+  complaint.userId.toString() === user._id.toString()
+    ? CONFIDENTIAL_REPORTER_NAME
+    : `${user.firstName} ${user.lastName}`;
+
+/**
+ * Hide the reporter of a confidential complaint from everyone but the
+ * reporter. Admins reveal identities through the audited reporter endpoint.
+ * Only staff can read the earlier versions of deleted comments.
+ * @param {Object} complaint - Complaint document or plain object
+ * @param {Object} viewer - The requesting user
+ * @returns {Object} Plain complaint object safe to send to the viewer
+ */
+export const redactComplaint = (complaint, viewer) => {
+  const data =
+    typeof complaint.toObject === "function"
+      ? complaint.toObject()
+      : { ...complaint };
+
+  if (data.comments && !["staff", "admin"].includes(viewer?.role)) {
+    data.comments = data.comments.map((comment) =>
+      comment.isDeleted ? { ...comment, editHistory: [] } : comment
+    );
+  }
+
+  if (!data.isConfidential) return data;
+
+  const ownerId = (data.userId?._id || data.userId)?.toString();
+  if (viewer && ownerId === viewer._id.toString()) return data;
+
+  data.userId = {
+    _id: null,
+    firstName: "Confidential",
+    lastName: "Reporter",
+    role: "resident",
+  };
+
+  data.comments = (data.comments || []).map((comment) =>
+    comment.userId?.toString() === ownerId
+      ? { ...comment, userId: null, userName: CONFIDENTIAL_REPORTER_NAME }
+      : comment
+  );
+
+  data.attachments = (data.attachments || []).map((attachment) =>
+    attachment.uploadedBy?.toString() === ownerId
+      ? { ...attachment, uploadedBy: null }
+      : attachment
+  );
+
+  return data;
+};
+
+/**
+ * Reduce a complaint history to the public status milestones, without
+ * staff names or notes
+ * @param {Object} complaint - The complaint document
+ * @returns {Array<{event: string, timestamp: Date}>} Redacted timeline
+ */
+export const publicTimeline = (complaint) =>
+  (complaint.history || [])
+    .map((entry) => {
+      const { action } = entry;
+      if (
+        action === "Complaint Filed" ||
+        action === "Complaint Reopened" ||
+        action.startsWith("Status Updated to")
+      ) {
+        return { event: action, timestamp: entry.timestamp };
+      }
+      if (action.startsWith("Assigned to") || action.startsWith("Reassigned")) {
+        return {
+          event: "Assigned to barangay staff",
+          timestamp: entry.timestamp,
+        };
+      }
+      if (action.startsWith("Merged into")) {
+        return {
+          event: "Merged with an existing report of the same issue",
+          timestamp: entry.timestamp,
+        };
+      }
+      return null;
+    })
+    .filter(Boolean);
@@ -0,0 +1,57 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Default response and resolution targets (in hours) per priority.
+ * "Response" means the complaint has left the pending status.
+ */
+export const DEFAULT_SLA_TARGETS = {
+  urgent: { responseHours: 4, resolutionHours: 24 },
+  high: { responseHours: 12, resolutionHours: 72 },
+  medium: { responseHours: 24, resolutionHours: 168 },
+  low: { responseHours: 48, resolutionHours: 336 },
+};
+
+export const PRIORITY_ORDER = ["low", "medium", "high", "urgent"];
+
+/**
+ * Get the SLA targets for a category and priority
+ * @param {Object|null} category - ComplaintCategory document with optional overrides
+ * @param {string} priority - Complaint priority
+ * @returns {{responseHours: number, resolutionHours: number}} SLA targets
+ */
+export const getSlaTargets = (category, priority) => {
+  const defaults = DEFAULT_SLA_TARGETS[priority] || DEFAULT_SLA_TARGETS.medium;
+  const overrides = category?.slaTargets?.[priority];
+
+  return {
+    responseHours: overrides?.responseHours || defaults.responseHours,
+    resolutionHours: overrides?.resolutionHours || defaults.resolutionHours,
+  };
+};
+
+/**
+ * Compute the response and resolution due dates for a complaint
+ * @param {Object|null} category - ComplaintCategory document
+ * @param {string} priority - Complaint priority
+ * @param {Date} from - Start of the SLA clock (default: now)
+ * @returns {{responseDueAt: Date, resolutionDueAt: Date}} Due dates
+ */
+export const computeSlaDueDates = (category, priority, from = new Date()) => {
+  const { responseHours, resolutionHours } = getSlaTargets(category, priority);
+  const start = new Date(from).getTime();
+
+  return {
+    responseDueAt: new Date(start + responseHours * HOUR_MS),
+    resolutionDueAt: new Date(start + resolutionHours * HOUR_MS),
+  };
+};
+
+/**
+ * Get the next priority level up, or the same level if already urgent
+ * @param {string} priority - Current priority
+ * @returns {string} Escalated priority
+ */
+export const nextPriority = (priority) => {
+  const index = PRIORITY_ORDER.indexOf(priority);
+  return PRIORITY_ORDER[Math.min(index + 1, PRIORITY_ORDER.length - 1)];
+};
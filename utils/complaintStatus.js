@@ -0,0 +1,52 @@
+// Reopen configuration
+const REOPEN_CONFIG = {
+  windowDays: parseInt(process.env.COMPLAINT_REOPEN_WINDOW_DAYS) || 7,
+};
+
+/**
+ * Allowed complaint status transitions for staff and admins.
+ * Closed complaints are final; resolved complaints can only go back to
+ * pending through the resident reopen flow.
+ */
+export const COMPLAINT_STATUS_TRANSITIONS = {
+  pending: ["in-progress", "resolved", "closed"],
+  "in-progress": ["resolved", "closed"],
+  resolved: ["in-progress", "closed"],
+  closed: [],
+};
+
+/**
+ * Check whether a complaint can move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransition = (from, to) =>
+  (COMPLAINT_STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Build the 409 response body for an illegal status transition
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object} Structured error payload
+ */
+export const transitionError = (from, to) => ({
+  message: `Cannot change complaint status from ${from} to ${to}`,
+  code: "INVALID_STATUS_TRANSITION",
+  from,
+  to,
+  allowed: COMPLAINT_STATUS_TRANSITIONS[from] || [],
+});
+
+/**
+ * Check whether a resolved complaint is still inside the reopen window
+ * @param {Object} complaint - The complaint document
+ * @returns {boolean} True if the resident may still reopen it
+ */
+export const isWithinReopenWindow = (complaint) => {
+  const resolvedAt = complaint.resolvedAt || complaint.updatedAt;
+  const windowMs = REOPEN_CONFIG.windowDays * 24 * 60 * 60 * 1000;
+  return Date.now() - new Date(resolvedAt).getTime() <= windowMs;
+};
+
+export { REOPEN_CONFIG };
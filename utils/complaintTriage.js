@@ -0,0 +1,154 @@
+import TriageRule from "../models/TriageRule.js";
+import { PRIORITY_ORDER } from "./complaintSla.js";
+import seedOnce from "./seedDefaults.js";
+
+// Triage configuration
+const TRIAGE_CONFIG = {
+  timezone: process.env.TRIAGE_TIMEZONE || "Asia/Manila",
+};
+
+/**
+ * Rules created on first start-up
+ */
+export const DEFAULT_TRIAGE_RULES = [
+  {
+    name: "Fire",
+    keywords: ["sunog", "fire", "nasusunog", "usok", "smoke"],
+    priority: "urgent",
+    flagForAttention: true,
+  },
+  {
+    name: "Weapons and violence",
+    keywords: ["knife", "kutsilyo", "gun", "baril", "saksak", "stabbing"],
+    priority: "urgent",
+    flagForAttention: true,
+  },
+  {
+    name: "Flooding",
+    keywords: ["baha", "flood", "flooding", "bumabaha"],
+    priority: "high",
+  },
+  {
+    name: "Night-time security",
+    categories: ["Security"],
+    timeWindow: { startHour: 22, endHour: 5 },
+    priority: "high",
+  },
+];
+
+/**
+ * Create the default rules once, on first start-up
+ * @returns {Promise<boolean>} True if the defaults were inserted
+ */
+export const ensureDefaultTriageRules = () =>
+  seedOnce("triageRules", TriageRule, DEFAULT_TRIAGE_RULES);
+
+/**
+ * Hour of the day in the barangay's timezone
+ * @param {Date} date - Point in time
+ * @returns {number} Hour from 0 to 23
+ */
+const localHour = (date) =>
+  parseInt(
+    new Intl.DateTimeFormat("en-US", {
+      hour: "numeric",
+      hourCycle: "h23",
+      timeZone: TRIAGE_CONFIG.timezone,
+    }).format(date)
+  );
+
+/**
+ * Whether a keyword appears as a whole word or phrase in the text
+ * @param {string} text - Lowercase text to search
+ * @param {string} keyword - Lowercase keyword
+ * @returns {boolean} True if found
+ */
+const containsKeyword = (text, keyword) => {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`,
+    "u"
+  ).test(text);
+};
+
+/**
+ * Check a rule against a complaint. Every condition the rule sets must match.
+ * @param {Object} rule - TriageRule document
+ * @param {Object} complaint - Title, description and category
+ * @param {Date} date - Filing time
+ * @returns {boolean} True if the rule applies
+ */
+export const matchesRule = (rule, complaint, date = new Date()) => {
+  if (rule.keywords?.length) {
+    const text = `${complaint.title} ${complaint.description}`.toLowerCase();
+    if (!rule.keywords.some((keyword) => containsKeyword(text, keyword))) {
+      return false;
+    }
+  }
+
+  if (
+    rule.categories?.length &&
+    !rule.categories.includes(complaint.category)
+  ) {
+    return false;
+  }
+
+  const { startHour, endHour } = rule.timeWindow || {};
+  if (startHour != null && endHour != null) {
+    const hour = localHour(date);
+    const inWindow =
+      startHour <= endHour
+        ? hour >= startHour && hour <= endHour
+        : hour >= startHour || hour <= endHour;
+    if (!inWindow) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Work out the effective priority of a new complaint. Matching rules set
+ * the priority (the highest wins); otherwise the resident's choice is
+ * capped at the category's default priority.
+ * @param {Object} complaint - Title, description and category
+ * @param {string|undefined} requestedPriority - Priority picked by the resident
+ * @param {string} defaultPriority - Default priority of the category
+ * @param {Date} date - Filing time
+ * @returns {Promise<{priority: string, needsAttention: boolean, matchedRules: Array}>}
+ *   Triage result
+ */
+export const triageComplaint = async (
+  complaint,
+  requestedPriority,
+  defaultPriority,
+  date = new Date()
+) => {
+  const rules = await TriageRule.find({ isActive: true });
+  const matched = rules.filter((rule) => matchesRule(rule, complaint, date));
+
+  const rank = (priority) => PRIORITY_ORDER.indexOf(priority);
+  let priority;
+
+  if (matched.length > 0) {
+    priority = matched.reduce(
+      (highest, rule) =>
+        rank(rule.priority) > rank(highest) ? rule.priority : highest,
+      matched[0].priority
+    );
+  } else if (
+    requestedPriority &&
+    rank(requestedPriority) < rank(defaultPriority)
+  ) {
+    priority = requestedPriority;
+  } else {
+    priority = defaultPriority;
+  }
+
+  return {
+    priority,
+    needsAttention: matched.some((rule) => rule.flagForAttention),
+    matchedRules: matched.map((rule) => ({ rule: rule._id, name: rule.name })),
+  };
+};
+
+export { TRIAGE_CONFIG };
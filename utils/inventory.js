@@ -0,0 +1,62 @@
+import ServiceRequest from "../models/ServiceRequest.js";
+
+// Requests that hold stock for their booked dates
+export const RESERVING_STATUSES = ["approved", "borrowed"];
+
+/**
+ * Count the units of an inventory item reserved during a date range.
+ * Approved and borrowed requests overlapping the range count, as do
+ * borrowed items that are overdue and have not come back yet.
+ * @param {Object} item - InventoryItem document
+ * @param {Date|string} start - Start of the range
+ * @param {Date|string} end - End of the range
+ * @param {Object|null} excludeId - ObjectId of a request to leave out (e.g. the one being approved)
+ * @returns {Promise<number>} Reserved units
+ */
+export const getReservedQuantity = async (
+  item,
+  start,
+  end,
+  excludeId = null
+) => {
+  const match = {
+    inventoryItem: item._id,
+    $or: [
+      {
+        status: { $in: RESERVING_STATUSES },
+        borrowDate: { $lte: new Date(end) },
+        expectedReturnDate: { $gte: new Date(start) },
+      },
+      { status: "borrowed", expectedReturnDate: { $lt: new Date() } },
+    ],
+  };
+  if (excludeId) {
+    match._id = { $ne: excludeId };
+  }
+
+  const [result] = await ServiceRequest.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: { $ifNull: ["$quantity", 1] } } } },
+  ]);
+
+  return result?.total || 0;
+};
+
+/**
+ * Units of an inventory item still free during a date range
+ * @param {Object} item - InventoryItem document
+ * @param {Date|string} start - Start of the range
+ * @param {Date|string} end - End of the range
+ * @param {Object|null} excludeId - ObjectId of a request to leave out
+ * @returns {Promise<number>} Available units (never negative)
+ */
+export const getAvailableQuantity = async (
+  item,
+  start,
+  end,
+  excludeId = null
+) =>
+  Math.max(
+    0,
+    item.quantity - (await getReservedQuantity(item, start, end, excludeId))
+  );
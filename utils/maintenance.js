@@ -0,0 +1,128 @@
+import MaintenanceRecord from "../models/MaintenanceRecord.js";
+import { notifyAdminsAndStaff } from "./createNotification.js";
+import { promoteWaitlist } from "./waitlist.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Maintenance configuration
+const MAINTENANCE_CONFIG = {
+  // Days ahead of a scheduled inspection or repair that staff are reminded
+  noticeDays: parseInt(process.env.MAINTENANCE_NOTICE_DAYS) || 3,
+};
+
+/**
+ * Schedule the next routine inspection of an item from its interval.
+ * Nothing is scheduled when the item has no interval or already has an
+ * inspection coming up.
+ * @param {Object} item - InventoryItem document
+ * @param {Date} from - Date the interval counts from (e.g. the last inspection)
+ * @param {Object|null} userId - User who triggered the scheduling
+ * @returns {Promise<Object|null>} The new maintenance record, if any
+ */
+export const scheduleNextInspection = async (
+  item,
+  from = new Date(),
+  userId = null
+) => {
+  if (!item.maintenanceIntervalDays) return null;
+
+  const pending = await MaintenanceRecord.exists({
+    inventoryItem: item._id,
+    type: "inspection",
+    status: "scheduled",
+  });
+  if (pending) return null;
+
+  return MaintenanceRecord.create({
+    inventoryItem: item._id,
+    itemName: item.name,
+    type: "inspection",
+    scheduledFor: new Date(
+      new Date(from).getTime() + item.maintenanceIntervalDays * DAY_MS
+    ),
+    notes: "Routine inspection",
+    createdBy: userId || undefined,
+  });
+};
+
+/**
+ * Take an item out of service or put it back. Returning an item lets the
+ * waitlist for it move again.
+ * @param {Object} item - InventoryItem document
+ * @param {boolean} outOfService - Whether the item is out of service
+ * @param {string} reason - Why the item was taken out of service
+ * @returns {Promise<Object>} The saved item
+ */
+export const setServiceStatus = async (item, outOfService, reason) => {
+  const wasOutOfService = item.outOfService;
+
+  item.outOfService = outOfService;
+  if (outOfService) {
+    item.outOfServiceReason = reason || item.outOfServiceReason;
+    item.outOfServiceSince = item.outOfServiceSince || new Date();
+  } else {
+    item.outOfServiceReason = undefined;
+    item.outOfServiceSince = undefined;
+  }
+  await item.save();
+
+  if (wasOutOfService && !outOfService) {
+    await promoteWaitlist(item._id);
+  }
+
+  return item;
+};
+
+/**
+ * Remind staff of scheduled maintenance coming up within the notice
+ * period, and once more when it becomes overdue
+ * @returns {Promise<{due: number, overdue: number}>} Reminders sent
+ */
+export const notifyDueMaintenance = async () => {
+  const now = new Date();
+  const noticeEnd = new Date(
+    now.getTime() + MAINTENANCE_CONFIG.noticeDays * DAY_MS
+  );
+
+  const due = await MaintenanceRecord.find({
+    status: "scheduled",
+    scheduledFor: { $gte: now, $lte: noticeEnd },
+    dueNotifiedAt: null,
+  });
+
+  for (const record of due) {
+    await notifyAdminsAndStaff(
+      "🔧 Maintenance Due",
+      `${record.type === "inspection" ? "Inspection" : "Repair"} of "${
+        record.itemName
+      }" is scheduled for ${record.scheduledFor.toLocaleDateString()}.`,
+      "info"
+    );
+    record.dueNotifiedAt = now;
+    await record.save();
+  }
+
+  const overdue = await MaintenanceRecord.find({
+    status: "scheduled",
+    scheduledFor: { $lt: now },
+    overdueNotifiedAt: null,
+  });
+
+  for (const record of overdue) {
+    await notifyAdminsAndStaff(
+      "⚠️ Maintenance Overdue",
+      `${record.type === "inspection" ? "Inspection" : "Repair"} of "${
+        record.itemName
+      }" was due on ${record.scheduledFor.toLocaleDateString()} and has not been logged.`,
+      "warning"
+    );
+    record.overdueNotifiedAt = now;
+    // Overdue work skips the "coming up" reminder
+    record.dueNotifiedAt = record.dueNotifiedAt || now;
+    await record.save();
+  }
+
+  return { due: due.length, overdue: overdue.length };
+};
+
+export { MAINTENANCE_CONFIG };
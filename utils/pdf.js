@@ -0,0 +1,33 @@
+/**
+ * Format a date for a PDF document, or a dash if missing
+ * @param {Date|string|undefined} value - Date to format
+ * @returns {string} Formatted date
+ */
+export const formatDate = (value) =>
+  value ? new Date(value).toLocaleString() : "-";
+
+/**
+ * Write a section heading
+ * @param {Object} doc - PDFKit document
+ * @param {string} title - Heading text
+ */
+export const heading = (doc, title) => {
+  doc.moveDown(1);
+  doc.fontSize(14).font("Helvetica-Bold").text(title, { underline: true });
+  doc.moveDown(0.3);
+  doc.fontSize(10).font("Helvetica");
+};
+
+/**
+ * Write a "Label: value" line
+ * @param {Object} doc - PDFKit document
+ * @param {string} label - Field label
+ * @param {string} value - Field value
+ */
+export const field = (doc, label, value) => {
+  doc
+    .font("Helvetica-Bold")
+    .text(`${label}: `, { continued: true })
+    .font("Helvetica")
+    .text(value || "-");
+};
@@ -0,0 +1,64 @@
+// Recurring reservation configuration
+const RECURRENCE_CONFIG = {
+  // Most occurrences a single series can create
+  maxOccurrences: parseInt(process.env.RECURRING_MAX_OCCURRENCES) || 52,
+};
+
+/**
+ * Expand a recurrence rule into the start and end time of every
+ * occurrence. Monthly series repeat on the same day of the month and skip
+ * months that do not have it (e.g. the 31st).
+ * @param {Date} startTime - Start of the first occurrence
+ * @param {Date} endTime - End of the first occurrence
+ * @param {Object} rule - { frequency: "weekly"|"monthly", interval, until, count }
+ * @returns {{occurrences?: Array<{startTime: Date, endTime: Date}>, error?: string}}
+ */
+export const expandRecurrence = (startTime, endTime, rule) => {
+  const first = new Date(startTime);
+  const duration = new Date(endTime) - first;
+  const interval = parseInt(rule.interval) || 1;
+  const count = rule.count ? parseInt(rule.count) : null;
+
+  let until = null;
+  if (rule.until) {
+    until = new Date(rule.until);
+    until.setHours(23, 59, 59, 999);
+  }
+
+  const occurrences = [];
+  for (let step = 0; ; step++) {
+    const start = new Date(first);
+    if (rule.frequency === "weekly") {
+      start.setDate(first.getDate() + step * 7 * interval);
+    } else {
+      start.setMonth(first.getMonth() + step * interval);
+      if (start.getDate() !== first.getDate()) continue;
+    }
+
+    if (until && start > until) break;
+
+    occurrences.push({
+      startTime: start,
+      endTime: new Date(start.getTime() + duration),
+    });
+
+    if (count && occurrences.length >= count) break;
+    if (occurrences.length > RECURRENCE_CONFIG.maxOccurrences) {
+      return {
+        error: `A series can have at most ${RECURRENCE_CONFIG.maxOccurrences} occurrences`,
+      };
+    }
+  }
+
+  if (occurrences.length < 2) {
+    return { error: "A recurring reservation needs at least two occurrences" };
+  }
+
+  if (occurrences[0].endTime > occurrences[1].startTime) {
+    return { error: "Each occurrence must end before the next one starts" };
+  }
+
+  return { occurrences };
+};
+
+export { RECURRENCE_CONFIG };
@@ -0,0 +1,32 @@
+import Counter from "../models/Counter.js";
+
+/**
+ * Generate the next reference number for a prefix, e.g. CMP-2026-000123.
+ * Sequences restart every year.
+ * @param {string} prefix - Reference prefix (e.g. "CMP")
+ * @param {Date} date - Date used for the year segment (default: now)
+ * @returns {Promise<string>} Reference number
+ */
+export const nextReferenceNumber = async (prefix, date = new Date()) => {
+  const year = date.getFullYear();
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${prefix}-${year}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return `${prefix}-${year}-${String(counter.seq).padStart(6, "0")}`;
+};
+
+export default nextReferenceNumber;
+
+/**
+ * Quote a record's title for messages, prefixed by its reference number
+ * when it has one, e.g. CMP-2026-000123 "Broken streetlight"
+ * @param {Object} record - Document with a title and optional referenceNumber
+ * @returns {string} Formatted label
+ */
+export const formatReference = (record) =>
+  record.referenceNumber
+    ? `${record.referenceNumber} "${record.title}"`
+    : `"${record.title}"`;
@@ -1,6 +1,13 @@
 import cron from "node-cron";
 import ServiceRequest from "../models/ServiceRequest.js";
 import Notification from "../models/Notification.js";
+import Complaint from "../models/Complaint.js";
+import { notifyAdminsAndStaff } from "./createNotification.js";
+import { nextPriority } from "./complaintSla.js";
+import { formatReference } from "./referenceNumber.js";
+import { computeLateFee, countLateDays } from "./borrowingPenalties.js";
+import { expireWaitlistOffers } from "./waitlist.js";
+import { notifyDueMaintenance } from "./maintenance.js";
 
 /**
  * Check for overdue and due-soon service requests
@@ -28,10 +35,24 @@ const checkOverdueServices = async () => {
       });
 
       if (!existingNotification) {
+        // Fees are charged at check-in; show what has built up so far
+        const lateFee =
+          service.status === "borrowed"
+            ? computeLateFee(countLateDays(service))
+            : 0;
+
         await Notification.create({
           userId: service.userId._id,
           title: "⚠️ Overdue Return Notice",
-          message: `Your ${service.requestType.toLowerCase()} request for "${service.itemName}" is overdue. Please return it as soon as possible.`,
+          message: `Your ${service.requestType.toLowerCase()} request for "${
+            service.itemName
+          }" is overdue. Please return it as soon as possible.${
+            lateFee > 0
+              ? ` Late fees so far: ${lateFee.toFixed(
+                  2
+                )}. New requests are on hold until it is returned.`
+              : ""
+          }`,
           type: "warning",
         });
         console.log(
@@ -84,6 +105,111 @@ const checkOverdueServices = async () => {
   }
 };
 
+/**
+ * Flag complaints that missed their response or resolution targets,
+ * bump their priority and alert admins and staff
+ * Runs every hour
+ */
+const checkComplaintSla = async () => {
+  try {
+    const now = new Date();
+
+    const breaches = [
+      {
+        field: "responseBreachedAt",
+        label: "response",
+        query: {
+          status: "pending",
+          "sla.responseDueAt": { $lt: now },
+          "sla.responseBreachedAt": null,
+        },
+      },
+      {
+        field: "resolutionBreachedAt",
+        label: "resolution",
+        query: {
+          status: { $in: ["pending", "in-progress"] },
+          "sla.resolutionDueAt": { $lt: now },
+          "sla.resolutionBreachedAt": null,
+        },
+      },
+    ];
+
+    for (const breach of breaches) {
+      // Merged complaints follow their parent, which is tracked instead
+      const complaints = await Complaint.find({
+        ...breach.query,
+        mergedInto: null,
+      });
+
+      console.log(
+        `[CRON] Found ${complaints.length} complaints past their ${breach.label} target`
+      );
+
+      for (const complaint of complaints) {
+        const oldPriority = complaint.priority;
+        complaint.priority = nextPriority(oldPriority);
+        complaint.sla[breach.field] = now;
+        complaint.sla.breached = true;
+        complaint.history.push({
+          action: `SLA ${breach.label} target missed`,
+          by: "System",
+          timestamp: now,
+          note:
+            complaint.priority !== oldPriority
+              ? `Priority escalated from ${oldPriority} to ${complaint.priority}`
+              : "Already at highest priority",
+        });
+
+        await complaint.save();
+
+        await notifyAdminsAndStaff(
+          "⏰ Complaint SLA Breached",
+          `The ${complaint.category} complaint ${formatReference(
+            complaint
+          )} missed its ${breach.label} target and is now ${
+            complaint.priority
+          } priority.`,
+          "warning"
+        );
+        console.log(
+          `[CRON] Escalated complaint ${complaint._id} (${breach.label} breach)`
+        );
+      }
+    }
+  } catch (error) {
+    console.error("[CRON] Error checking complaint SLAs:", error);
+  }
+};
+
+/**
+ * Pass unclaimed waitlist offers on to the next person in line
+ * Runs every 15 minutes
+ */
+const checkWaitlistOffers = async () => {
+  try {
+    const expired = await expireWaitlistOffers();
+    console.log(`[CRON] Expired ${expired} unclaimed waitlist offers`);
+  } catch (error) {
+    console.error("[CRON] Error checking waitlist offers:", error);
+  }
+};
+
+/**
+ * Remind staff of inspections and repairs that are coming up or overdue
+ * Runs daily at 7 AM
+ */
+const checkMaintenance = async () => {
+  try {
+    const { due, overdue } = await notifyDueMaintenance();
+    console.log(
+      `[CRON] Sent ${due} maintenance due and ${overdue} overdue reminders`
+    );
+  } catch (error) {
+    console.error("[CRON] Error checking maintenance:", error);
+  }
+};
+
 /**
  * Initialize all scheduled jobs
  */
@@ -94,8 +220,31 @@ export const initScheduledJobs = () => {
     checkOverdueServices();
   });
 
+  // Run every hour on the hour
+  cron.schedule("0 * * * *", () => {
+    console.log("[CRON] Running complaint SLA check...");
+    checkComplaintSla();
+  });
+
+  // Run every 15 minutes
+  cron.schedule("*/15 * * * *", () => {
+    console.log("[CRON] Running waitlist offer check...");
+    checkWaitlistOffers();
+  });
+
+  // Run daily at 7 AM
+  cron.schedule("0 7 * * *", () => {
+    console.log("[CRON] Running maintenance check...");
+    checkMaintenance();
+  });
+
   console.log("[CRON] Scheduled jobs initialized");
 };
 
 // Export for manual triggering (useful for testing)
-export { checkOverdueServices };
+export {
+  checkOverdueServices,
+  checkComplaintSla,
+  checkWaitlistOffers,
+  checkMaintenance,
+};
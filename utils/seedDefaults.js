@@ -0,0 +1,32 @@
+import SeedMarker from "../models/SeedMarker.js";
+
+/**
+ * Insert a set of default documents the first time it is needed, and
+ * never again. The marker is claimed atomically so two instances starting
+ * together cannot both seed. Collections that already have documents (set
+ * up before markers existed) are left as they are.
+ * @param {string} name - Name of the default set
+ * @param {Object} Model - Mongoose model to seed
+ * @param {Array<Object>} defaults - Documents to insert
+ * @returns {Promise<boolean>} True if the defaults were inserted
+ */
+export const seedOnce = async (name, Model, defaults) => {
+  try {
+    await SeedMarker.create({ _id: name });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  if ((await Model.estimatedDocumentCount()) > 0) return false;
+
+  try {
+    await Model.insertMany(defaults, { ordered: false });
+  } catch (error) {
+    // A default with the same name was created in the meantime
+    if (error.code !== 11000) throw error;
+  }
+  return true;
+};
+
+export default seedOnce;
@@ -0,0 +1,190 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import { bookingInterval } from "./facilityBookings.js";
+import { outstandingBalance } from "./borrowingPenalties.js";
+import { field, formatDate, heading } from "./pdf.js";
+
+/**
+ * Sign the token printed on a claim slip. The token ID is kept on the
+ * request so every copy of the slip stays valid, and the token expires
+ * when the booking ends.
+ * @param {Object} service - Approved service request (modified in place)
+ * @returns {string} Signed token
+ */
+export const signClaimToken = (service) => {
+  if (!service.claimSlip?.tokenId) {
+    service.claimSlip = {
+      tokenId: crypto.randomBytes(16).toString("hex"),
+      issuedAt: new Date(),
+    };
+  }
+
+  const { end } = bookingInterval(service);
+  const secondsLeft = Math.floor((end.getTime() - Date.now()) / 1000);
+
+  return jwt.sign(
+    { purpose: "claim-slip", serviceId: service._id },
+    process.env.JWT_SECRET,
+    {
+      jwtid: service.claimSlip.tokenId,
+      expiresIn: Math.max(secondsLeft, 60 * 60),
+    }
+  );
+};
+
+/**
+ * Full name of a populated user, or a dash
+ * @param {Object|undefined} user - Populated user
+ * @returns {string} Name
+ */
+const fullName = (user) =>
+  user?.firstName ? `${user.firstName} ${user.lastName}` : "-";
+
+/**
+ * Write the request details shared by the slip and the receipt
+ * @param {Object} doc - PDFKit document
+ * @param {Object} service - Service request with userId populated
+ */
+const writeRequestDetails = (doc, service) => {
+  heading(doc, "Request");
+  field(doc, "Request No.", `#${service._id}`);
+  field(doc, "Borrower", fullName(service.userId));
+  field(doc, "Contact", service.userId?.phoneNumber || service.userId?.email);
+  field(
+    doc,
+    service.requestType === "Facility" ? "Facility" : "Item",
+    service.quantity > 1
+      ? `${service.itemName} x${service.quantity}`
+      : service.itemName
+  );
+  if (service.startTime) {
+    field(
+      doc,
+      "Booking",
+      `${formatDate(service.startTime)} to ${formatDate(service.endTime)}`
+    );
+  } else {
+    field(
+      doc,
+      "Dates",
+      `${new Date(service.borrowDate).toLocaleDateString()} to ${new Date(
+        service.expectedReturnDate
+      ).toLocaleDateString()}`
+    );
+  }
+  if (service.numberOfPeople) {
+    field(doc, "Number of People", String(service.numberOfPeople));
+  }
+  field(doc, "Purpose", service.purpose);
+};
+
+/**
+ * Write a claim slip: request details, who approved it and a QR code of
+ * the signed claim token for staff to scan at pick-up
+ * @param {Object} doc - PDFKit document
+ * @param {Object} service - Approved request with userId and approvedBy populated
+ * @param {string} token - Signed claim token
+ */
+export const writeClaimSlip = async (doc, service, token) => {
+  doc.fontSize(20).font("Helvetica-Bold").text("Claim Slip", {
+    align: "center",
+  });
+  doc
+    .fontSize(9)
+    .font("Helvetica")
+    .text(`Issued on: ${new Date().toLocaleString()}`, { align: "center" });
+
+  writeRequestDetails(doc, service);
+
+  heading(doc, "Approval");
+  if (service.approval?.stages.length) {
+    for (const stage of service.approval.stages) {
+      field(
+        doc,
+        stage.name,
+        `${fullName(stage.decidedBy)} on ${formatDate(stage.decidedAt)}`
+      );
+    }
+  } else {
+    field(doc, "Approved By", fullName(service.approvedBy));
+    field(doc, "Approved On", formatDate(service.approvedAt));
+  }
+  if (service.approvalNote) {
+    field(doc, "Note", service.approvalNote);
+  }
+  if (service.deposit?.amount > 0) {
+    field(doc, "Deposit Due at Pick-up", service.deposit.amount.toFixed(2));
+  }
+
+  heading(doc, "Present this code at pick-up");
+  const qr = await QRCode.toBuffer(token, { type: "png", margin: 1 });
+  doc.image(qr, { fit: [180, 180], align: "center" });
+  doc.moveDown(0.5);
+  doc
+    .fontSize(8)
+    .text("Staff will scan this code to release the item. Do not share it.", {
+      align: "center",
+    });
+};
+
+/**
+ * Write a return receipt: request details, the check-in report, late fees,
+ * any damage record and what happened to the deposit
+ * @param {Object} doc - PDFKit document
+ * @param {Object} service - Returned request with userId and returnReport.checkedInBy populated
+ * @param {Object|null} damageRecord - Damage/liability record for the return
+ */
+export const writeReturnReceipt = (doc, service, damageRecord) => {
+  doc.fontSize(20).font("Helvetica-Bold").text("Return Receipt", {
+    align: "center",
+  });
+  doc
+    .fontSize(9)
+    .font("Helvetica")
+    .text(`Issued on: ${new Date().toLocaleString()}`, { align: "center" });
+
+  writeRequestDetails(doc, service);
+
+  heading(doc, "Return");
+  const report = service.returnReport;
+  if (report) {
+    field(doc, "Returned", formatDate(report.returnedAt));
+    field(
+      doc,
+      "Quantity Returned",
+      `${report.quantityReturned} of ${service.quantity}`
+    );
+    field(doc, "Condition", report.condition.replace("_", " "));
+    field(doc, "Checked In By", fullName(report.checkedInBy));
+    if (report.notes) {
+      field(doc, "Notes", report.notes);
+    }
+  } else {
+    field(doc, "Returned", formatDate(service.updatedAt));
+  }
+
+  heading(doc, "Charges");
+  if (damageRecord) {
+    field(doc, "Days Late", String(damageRecord.lateDays));
+    field(doc, "Late Fee", damageRecord.lateFee.toFixed(2));
+    field(doc, "Damage Charge", damageRecord.damageCharge.toFixed(2));
+    field(doc, "Paid", damageRecord.amountPaid.toFixed(2));
+    field(doc, "Balance", outstandingBalance(damageRecord).toFixed(2));
+    field(doc, "Record Status", damageRecord.status);
+  } else {
+    doc.text("No charges. Thank you for returning on time.");
+  }
+
+  if (service.deposit?.amount > 0) {
+    field(
+      doc,
+      "Deposit",
+      `${service.deposit.amount.toFixed(2)} (${service.deposit.status}${
+        service.deposit.amountForfeited > 0
+          ? `, ${service.deposit.amountForfeited.toFixed(2)} forfeited`
+          : ""
+      })`
+    );
+  }
+};
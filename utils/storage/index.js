@@ -0,0 +1,61 @@
+import { pipeline } from "stream";
+import contentDisposition from "content-disposition";
+import localDriver from "./localDriver.js";
+
+/**
+ * Registered storage drivers. Each driver implements:
+ * - save(key, buffer): Promise<void>
+ * - createReadStream(key): Readable
+ * - exists(key): Promise<boolean>
+ * - remove(key): Promise<void>
+ * Add S3-compatible drivers here and select them with STORAGE_DRIVER.
+ */
+const drivers = {
+  local: localDriver,
+};
+
+/**
+ * Get the configured storage driver
+ * @returns {Object} Storage driver
+ */
+export const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || "local";
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+
+  return driver;
+};
+
+/**
+ * Stream a stored file to the client
+ * @param {Object} res - Express response object
+ * @param {Object} file - Stored file metadata (key, mimeType, size, originalName)
+ */
+export const sendStoredFile = async (res, file) => {
+  const storage = getStorage();
+
+  if (!(await storage.exists(file.key))) {
+    return res.status(404).json({ message: "File not found" });
+  }
+
+  res.setHeader("Content-Type", file.mimeType);
+  res.setHeader("Content-Length", file.size);
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  // Encodes non-latin1 names as RFC 5987 filename*
+  res.setHeader(
+    "Content-Disposition",
+    contentDisposition(file.originalName, { type: "inline" })
+  );
+
+  // A file that disappears or cannot be read mid-stream ends the response
+  pipeline(storage.createReadStream(file.key), res, (error) => {
+    if (error) {
+      console.error(`Stream stored file ${file.key} error:`, error.message);
+    }
+  });
+};
+
+export default getStorage;
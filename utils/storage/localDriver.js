@@ -0,0 +1,49 @@
+import fs from "fs";
+import path from "path";
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+/**
+ * Resolve a storage key to a path inside the upload directory
+ * @param {string} key - Storage key (e.g. complaints/<id>/<file>)
+ * @returns {string} Absolute file path
+ */
+const resolveKey = (key) => {
+  const filePath = path.resolve(UPLOAD_DIR, key);
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error("Invalid storage key");
+  }
+  return filePath;
+};
+
+/**
+ * Local disk storage driver
+ */
+const localDriver = {
+  name: "local",
+
+  async save(key, buffer) {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  },
+
+  createReadStream(key) {
+    return fs.createReadStream(resolveKey(key));
+  },
+
+  async exists(key) {
+    try {
+      await fs.promises.access(resolveKey(key));
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  async remove(key) {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  },
+};
+
+export default localDriver;
@@ -0,0 +1,179 @@
+import crypto from "crypto";
+
+// Upload configuration
+const UPLOAD_CONFIG = {
+  maxFileSize: (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 5) * 1024 * 1024,
+  maxFiles: parseInt(process.env.MAX_UPLOAD_FILES) || 5,
+  maxPerComplaint: parseInt(process.env.MAX_COMPLAINT_ATTACHMENTS) || 10,
+};
+
+/**
+ * Accepted file types and the extension they are stored with
+ */
+export const ALLOWED_MIME_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+};
+
+/**
+ * Detect the real file type from its leading bytes, ignoring what the
+ * client claims
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null if not an accepted type
+ */
+export const detectMimeType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return "image/jpeg";
+  }
+  if (
+    buffer.length >= 8 &&
+    buffer.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"))
+  ) {
+    return "image/png";
+  }
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  if (buffer.length >= 5 && buffer.toString("ascii", 0, 5) === "%PDF-") {
+    return "application/pdf";
+  }
+  return null;
+};
+
+/**
+ * Remove EXIF, XMP and IPTC segments from a JPEG
+ * @param {Buffer} buffer - JPEG contents
+ * @returns {Buffer} JPEG without metadata segments
+ */
+const stripJpeg = (buffer) => {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+
+    // Start of scan: the rest is image data
+    if (marker === 0xda) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const segment = buffer.subarray(offset, offset + 2 + length);
+
+    // Drop APP1 (EXIF/XMP), APP13 (IPTC) and comments; keep JFIF and ICC
+    if (marker !== 0xe1 && marker !== 0xed && marker !== 0xfe) {
+      parts.push(segment);
+    }
+    offset += 2 + length;
+  }
+
+  parts.push(buffer.subarray(offset));
+  return Buffer.concat(parts);
+};
+
+/**
+ * Remove EXIF and text chunks from a PNG
+ * @param {Buffer} buffer - PNG contents
+ * @returns {Buffer} PNG without metadata chunks
+ */
+const stripPng = (buffer) => {
+  const dropped = ["eXIf", "tEXt", "zTXt", "iTXt", "tIME"];
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+
+    if (!dropped.includes(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  return Buffer.concat(parts);
+};
+
+/**
+ * Remove EXIF and XMP chunks from a WebP
+ * @param {Buffer} buffer - WebP contents
+ * @returns {Buffer} WebP without metadata chunks
+ */
+const stripWebp = (buffer) => {
+  const parts = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+    const chunk = Buffer.from(buffer.subarray(offset, end));
+
+    if (type === "VP8X") {
+      // Clear the EXIF (0x08) and XMP (0x04) flags
+      chunk[8] &= ~0x0c;
+    }
+    if (type !== "EXIF" && type !== "XMP ") {
+      parts.push(chunk);
+    }
+    offset = end;
+  }
+
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(12);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write("WEBP", 8, "ascii");
+  return Buffer.concat([header, body]);
+};
+
+/**
+ * Strip location and camera metadata from photos before storing them
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - Detected MIME type
+ * @returns {Buffer} File contents without metadata
+ */
+export const stripImageMetadata = (buffer, mimeType) => {
+  switch (mimeType) {
+    case "image/jpeg":
+      return stripJpeg(buffer);
+    case "image/png":
+      return stripPng(buffer);
+    case "image/webp":
+      return stripWebp(buffer);
+    default:
+      return buffer;
+  }
+};
+
+/**
+ * Validate and clean an uploaded file
+ * @param {Object} file - Multer file object (memory storage)
+ * @returns {{buffer: Buffer, mimeType: string, extension: string}|null}
+ *   Cleaned file, or null if the contents are not an accepted type
+ */
+export const processUpload = (file) => {
+  const mimeType = detectMimeType(file.buffer);
+  if (!mimeType) return null;
+
+  return {
+    buffer: stripImageMetadata(file.buffer, mimeType),
+    mimeType,
+    extension: ALLOWED_MIME_TYPES[mimeType],
+  };
+};
+
+/**
+ * Generate a random, unguessable file name
+ * @param {string} extension - File extension including the dot
+ * @returns {string} File name
+ */
+export const randomFileName = (extension) =>
+  `${crypto.randomBytes(16).toString("hex")}${extension}`;
+
+export { UPLOAD_CONFIG };
@@ -0,0 +1,139 @@
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import InventoryItem from "../models/InventoryItem.js";
+import Notification from "../models/Notification.js";
+import checkAvailability from "./availability.js";
+
+// Waitlist configuration
+const WAITLIST_CONFIG = {
+  // Hours a promoted resident has to claim before the offer moves on
+  claimWindowHours: parseInt(process.env.WAITLIST_CLAIM_WINDOW_HOURS) || 24,
+};
+
+// Fields copied from a waitlist entry into the service request it becomes
+export const WAITLIST_REQUEST_FIELDS = [
+  "userId",
+  "inventoryItem",
+  "requestType",
+  "itemName",
+  "itemType",
+  "quantity",
+  "borrowDate",
+  "expectedReturnDate",
+  "startTime",
+  "endTime",
+  "timeSlot",
+  "numberOfPeople",
+  "purpose",
+  "notes",
+];
+
+/**
+ * Offer freed stock or time to the next people in line for an item.
+ * Entries are served first come, first served; an entry that still does
+ * not fit is skipped so it does not hold up smaller requests behind it.
+ * Open offers count against what is free so it is never offered twice.
+ * Errors are logged rather than thrown so callers can fire and forget.
+ * @param {Object} itemId - Inventory item ID
+ * @returns {Promise<Array<Object>>} Entries that were offered
+ */
+export const promoteWaitlist = async (itemId) => {
+  try {
+    const item = await InventoryItem.findById(itemId);
+    if (!item || !item.isActive) return [];
+
+    const now = new Date();
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    // Entries whose booking has already started can no longer be served
+    await WaitlistEntry.updateMany(
+      {
+        inventoryItem: item._id,
+        status: "waiting",
+        $or: [
+          { startTime: { $lt: now } },
+          { startTime: null, borrowDate: { $lt: today } },
+        ],
+      },
+      { status: "expired" }
+    );
+
+    const entries = await WaitlistEntry.find({
+      inventoryItem: item._id,
+      status: "waiting",
+    }).sort({ createdAt: 1 });
+
+    const promoted = [];
+
+    for (const entry of entries) {
+      const unavailable = await checkAvailability(item, {
+        borrowDate: entry.borrowDate,
+        expectedReturnDate: entry.expectedReturnDate,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        quantity: entry.quantity,
+      });
+      if (unavailable) continue;
+
+      entry.status = "offered";
+      entry.offeredAt = now;
+      entry.claimExpiresAt = new Date(
+        now.getTime() + WAITLIST_CONFIG.claimWindowHours * 60 * 60 * 1000
+      );
+      await entry.save();
+
+      promoted.push(entry);
+
+      await Notification.create({
+        userId: entry.userId,
+        title: "🎉 Your Waitlist Spot Is Ready",
+        message: `"${
+          item.name
+        }" is now available for the dates you asked for. Claim it before ${entry.claimExpiresAt.toLocaleString()} or it goes to the next person in line.`,
+        type: "success",
+        relatedType: "service",
+      });
+    }
+
+    return promoted;
+  } catch (error) {
+    console.error("Waitlist promotion error:", error);
+    return [];
+  }
+};
+
+/**
+ * Expire unclaimed offers and pass them on, then give every item with a
+ * queue a chance to promote in case stock was freed elsewhere
+ * @returns {Promise<number>} Number of offers expired
+ */
+export const expireWaitlistOffers = async () => {
+  const expired = await WaitlistEntry.find({
+    status: "offered",
+    claimExpiresAt: { $lt: new Date() },
+  });
+
+  for (const entry of expired) {
+    entry.status = "expired";
+    await entry.save();
+
+    await Notification.create({
+      userId: entry.userId,
+      title: "Waitlist Offer Expired",
+      message: `Your offer for "${entry.itemName}" was not claimed in time and has gone to the next person in line.`,
+      type: "warning",
+      relatedType: "service",
+    });
+  }
+
+  const itemIds = await WaitlistEntry.distinct("inventoryItem", {
+    status: "waiting",
+  });
+  for (const itemId of itemIds) {
+    await promoteWaitlist(itemId);
+  }
+
+  return expired.length;
+};
+
+export { WAITLIST_CONFIG };